@@ -8,6 +8,42 @@ const INNER_OBJECT_SYMBOL = Symbol("The inner object used by the proxy for vario
 const ALLOW_PROPERTY_DELETION_SYMBOL = Symbol("Is property deletion from proxy allowed");
 const OVERRIDE_ALL_SYMBOL = Symbol("Override the property in all fathers");
 const HANDLERS_SYMBOL = Symbol("The proxy objects handlers");
+const RESOLUTION_SYMBOL = Symbol("The strategy used to order the fathers when resolving a property");
+const PROXY_SYMBOL = Symbol("The proxy object wrapping the inner object");
+const ID_SYMBOL = Symbol("A number identifying the proxy in messages");
+const CACHE_SYMBOL = Symbol("The cache of the fathers resolving each property");
+const COMBINATION_SYMBOL = Symbol("The method combinations used for properties defined in several fathers");
+const LISTENERS_SYMBOL = Symbol("The event listeners of the proxy");
+const LOCK_SYMBOL = Symbol("The lock level of the proxy, sealed or frozen");
+const REQUIRES_SYMBOL = Symbol("The members the hierarchy of the proxy is required to implement");
+const PENDING_SYMBOL = Symbol("The policy for lookups hitting a father which is not loaded");
+const WRITE_TARGET_SYMBOL = Symbol("The object to which a property of the fathers is written");
+const POLICIES_SYMBOL = Symbol("The access policies of single keys and key patterns");
+const TRANSACTION_SYMBOL = Symbol("The number of transactions running on the proxy");
+const MIDDLEWARE_SYMBOL = Symbol("The middleware of the proxy traps and the handlers they wrap");
+// the symbol properties of the inner object which are used by the MultiFactory
+const INTERNAL_SYMBOLS_LIST = [ DUPLICATION_ALLOWED_SYMBOL,
+                                ERROR_IF_MISSING_SYMBOL,
+                                ALLOW_PROPERTY_OVERRIDE_SYMBOL,
+                                PROTOTYPE_SYMBOL,
+                                INNER_OBJECT_SYMBOL,
+                                ALLOW_PROPERTY_DELETION_SYMBOL,
+                                OVERRIDE_ALL_SYMBOL,
+                                HANDLERS_SYMBOL,
+                                RESOLUTION_SYMBOL,
+                                PROXY_SYMBOL,
+                                ID_SYMBOL,
+                                CACHE_SYMBOL,
+                                COMBINATION_SYMBOL,
+                                LISTENERS_SYMBOL,
+                                LOCK_SYMBOL,
+                                REQUIRES_SYMBOL,
+                                PENDING_SYMBOL,
+                                WRITE_TARGET_SYMBOL,
+                                POLICIES_SYMBOL,
+                                TRANSACTION_SYMBOL,
+                                MIDDLEWARE_SYMBOL
+                              ];
 const ALLOWED_HANDLERS_LIST = [ "apply",
                                 "construct",
                                 "defineProperty",
@@ -19,50 +55,429 @@ const ALLOWED_HANDLERS_LIST = [ "apply",
                                 "setPrototypeOf"
                               ];
 const DISALLOWED_HANDLERS_LIST = ["get", "set", "has", "ownKeys"];
+// the traps receiving a property key after the target, which skip the middleware for the internal symbols
+const KEY_TRAPS_LIST = ["get", "set", "has", "deleteProperty", "defineProperty", "getOwnPropertyDescriptor"];
+const RESOLUTION_STRATEGIES_LIST = ["last-wins", "first-wins", "c3"];
+const PENDING_POLICIES_LIST = ["skip", "throw", "undefined"];
+const WRITE_TARGETS_LIST = ["own", "last", "all", "first"];
+// the keys of a father descriptor { father, exclude, include, alias }
+const FATHER_DESCRIPTOR_KEYS_LIST = ["father", "exclude", "include", "alias"];
+const GRAPH_FORMATS_LIST = ["json", "dot", "mermaid"];
+// each lock level includes the restrictions of the previous ones
+const LOCK_LEVELS_LIST = ["sealed", "frozen"];
+const EVENTS_LIST = ["get", "set", "delete", "missing", "conflict", "fatherAdded", "fatherRemoved", "optionChanged"];
+// the options which are kept in a symbol property of the inner object
+const OPTION_SYMBOLS = {
+  allowDuplicate: DUPLICATION_ALLOWED_SYMBOL,
+  errorIfMissing: ERROR_IF_MISSING_SYMBOL,
+  allowOverride: ALLOW_PROPERTY_OVERRIDE_SYMBOL,
+  allowDeletion: ALLOW_PROPERTY_DELETION_SYMBOL,
+  overrideAll: OVERRIDE_ALL_SYMBOL,
+  resolution: RESOLUTION_SYMBOL,
+  pending: PENDING_SYMBOL,
+  writeTarget: WRITE_TARGET_SYMBOL
+};
+// the fields of an access policy which take precedence over the options they map to,
+// readonly having no option
+const POLICY_FIELDS = {
+  override: ALLOW_PROPERTY_OVERRIDE_SYMBOL,
+  delete: ALLOW_PROPERTY_DELETION_SYMBOL,
+  duplicate: DUPLICATION_ALLOWED_SYMBOL,
+  errorIfMissing: ERROR_IF_MISSING_SYMBOL,
+  readonly: null
+};
+// the MultiFactory methods offered bound to the proxy by the transaction object
+const TRANSACTION_METHODS_LIST = [ "addFatherToProxy",
+                                   "removeFatherFromProxy",
+                                   "addPropertyToProxy",
+                                   "deletePropertyFromProxy",
+                                   "setAllowDuplicateOnProxy",
+                                   "setErrorIfMissingOnProxy",
+                                   "setAllowOverrideOnProxy",
+                                   "setAllowDeletionOnProxy",
+                                   "setOverrideAllOnProxy",
+                                   "setResolutionOnProxy",
+                                   "setPendingOnProxy",
+                                   "setWriteTargetOnProxy",
+                                   "setCombinationOnProxy",
+                                   "setCacheOnProxy",
+                                   "setPolicy",
+                                   "use",
+                                   "removeMiddleware"
+                                 ];
+// the number of proxies constructed so far, used for their ids
+let proxyCounter = 0;
+// set once a lookup cache is created, the caches are not searched for before
+let cacheCreated = false;
+// the Symbol.hasInstance methods installed on the classes mixed by mixClasses
+const MIXED_HAS_INSTANCE_SET = new WeakSet();
+// the filters of the views created for the father descriptors, keyed by the view
+const TRAIT_FILTERS_MAP = new WeakMap();
+// the load state of the placeholders standing for the lazy and asynchronously loaded fathers
+const LAZY_FATHERS_MAP = new WeakMap();
+// the functions marked by lazy as thunks loading a father
+const LAZY_THUNKS_SET = new WeakSet();
+// weak references to the proxies delegating to each father, keyed by the object the father stands for
+const CHILDREN_MAP = new WeakMap();
+// the weak reference to each proxy, shared by the children sets of its fathers, and those sets
+const PROXY_REFS_MAP = new WeakMap();
+// drops the reference to a collected proxy from the children sets which hold it
+const CHILDREN_REGISTRY = new FinalizationRegistry(({ ref, sets }) => {
+  for(let refs of sets) {
+    refs.delete(ref);
+  }
+});
+// the proxies which were disposed
+const DISPOSED_PROXIES_SET = new WeakSet();
+// the inner object of each proxy, read without calling the handlers of the proxy
+const PROXY_TARGETS_MAP = new WeakMap();
+// the get and has handlers constructed for the proxies, a nested proxy still using them is searched directly
+const DEFAULT_HANDLERS_SET = new WeakSet();
+// combinators receive the fathers' methods ordered by priority,
+// the arguments of the call and the this object
+const COMBINATORS = {
+  all: (methods, args, thisArg) => {
+    let result;
+    for(let method of methods) {
+      result = method.apply(thisArg, args);
+    }
+    return result;
+  },
+  reverse: (methods, args, thisArg) => COMBINATORS.all(methods.slice().reverse(), args, thisArg),
+  collect: (methods, args, thisArg) => methods.map((method) => method.apply(thisArg, args)),
+  and: (methods, args, thisArg) => {
+    let result = true;
+    for(let method of methods) {
+      result = method.apply(thisArg, args);
+      if(!result) break;
+    }
+    return result;
+  },
+  or: (methods, args, thisArg) => {
+    let result = false;
+    for(let method of methods) {
+      result = method.apply(thisArg, args);
+      if(result) break;
+    }
+    return result;
+  }
+};
+
+/**
+ * Base class for all errors thrown by the MultiFactory.
+ * Carries a stable code, the property key, the proxy and the fathers involved.
+ */
+class MultiInheritanceError extends Error {
+  constructor(message, { key, proxy, fathers = [] } = {}, code = "ERR_MULTI_INHERITANCE") {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.key = key;
+    this.proxy = proxy;
+    this.fathers = fathers;
+  }
+}
+
+/**
+ * Thrown when a property is found in more than one father and duplication is disallowed.
+ */
+class DuplicatePropertyError extends MultiInheritanceError {
+  constructor(message, details) {
+    super(message, details, "ERR_DUPLICATE_PROPERTY");
+  }
+}
+
+/**
+ * Thrown when a property is not found in the hierarchy.
+ */
+class MissingPropertyError extends MultiInheritanceError {
+  constructor(message, details) {
+    super(message, details, "ERR_MISSING_PROPERTY");
+  }
+}
+
+/**
+ * Thrown when overriding a property of the hierarchy is disallowed.
+ */
+class OverrideDisallowedError extends MultiInheritanceError {
+  constructor(message, details) {
+    super(message, details, "ERR_OVERRIDE_DISALLOWED");
+  }
+}
+
+/**
+ * Thrown when deleting a property from the fathers thru the proxy is disallowed.
+ */
+class DeletionDisallowedError extends MultiInheritanceError {
+  constructor(message, details) {
+    super(message, details, "ERR_DELETION_DISALLOWED");
+  }
+}
+
+/**
+ * Thrown when adding or removing a handler that is not allowed.
+ */
+class HandlerNotAllowedError extends MultiInheritanceError {
+  constructor(message, details) {
+    super(message, details, "ERR_HANDLER_NOT_ALLOWED");
+  }
+}
+
+/**
+ * Thrown when a father that is expected in the hierarchy is not present.
+ */
+class FatherNotInHierarchyError extends MultiInheritanceError {
+  constructor(message, details) {
+    super(message, details, "ERR_FATHER_NOT_IN_HIERARCHY");
+  }
+}
+
+/**
+ * Thrown when a method combination is not supported or can't be applied.
+ */
+class CombinationError extends MultiInheritanceError {
+  constructor(message, details) {
+    super(message, details, "ERR_COMBINATION");
+  }
+}
+
+/**
+ * Thrown when there is no next method to delegate to.
+ */
+class NoNextMethodError extends MultiInheritanceError {
+  constructor(message, details) {
+    super(message, details, "ERR_NO_NEXT_METHOD");
+  }
+}
+
+/**
+ * Thrown when a change would make a proxy its own ancestor.
+ * The path property holds the objects forming the cycle.
+ */
+class CyclicHierarchyError extends MultiInheritanceError {
+  constructor(message, details) {
+    super(message, details, "ERR_CYCLIC_HIERARCHY");
+    this.path = this.fathers;
+  }
+}
+
+/**
+ * Thrown when subscribing to an event that is not supported.
+ */
+class UnknownEventError extends MultiInheritanceError {
+  constructor(message, details) {
+    super(message, details, "ERR_UNKNOWN_EVENT");
+  }
+}
+
+/**
+ * Thrown when a hierarchy can't be serialized or deserialized.
+ */
+class SerializationError extends MultiInheritanceError {
+  constructor(message, details) {
+    super(message, details, "ERR_SERIALIZATION");
+  }
+}
+
+/**
+ * Thrown when a sealed or frozen proxy is changed.
+ */
+class HierarchyLockedError extends MultiInheritanceError {
+  constructor(message, details) {
+    super(message, details, "ERR_HIERARCHY_LOCKED");
+  }
+}
+
+/**
+ * Thrown when a proxy does not implement the members required by its contract.
+ * The members property lists the violations { key, expected, reason },
+ * the reason being "missing" or "mismatch".
+ */
+class ContractError extends MultiInheritanceError {
+  constructor(message, details = {}) {
+    super(message, details, "ERR_CONTRACT");
+    this.members = details.members || [];
+  }
+}
+
+/**
+ * Thrown when a lookup hits a father which is not loaded yet and the pending policy is "throw".
+ */
+class FatherNotLoadedError extends MultiInheritanceError {
+  constructor(message, details) {
+    super(message, details, "ERR_FATHER_NOT_LOADED");
+  }
+}
+
+/**
+ * Thrown when a property which is readonly by its policy is written.
+ */
+class ReadonlyPropertyError extends MultiInheritanceError {
+  constructor(message, details) {
+    super(message, details, "ERR_READONLY_PROPERTY");
+  }
+}
+
+/**
+ * Thrown when a proxy is used after it was disposed.
+ */
+class ProxyDisposedError extends MultiInheritanceError {
+  constructor(message, details) {
+    super(message, details, "ERR_PROXY_DISPOSED");
+  }
+}
+
+/**
+ * Thrown when the resolution strategy is not supported or
+ * a resolution order can not be computed for the hierarchy.
+ */
+class ResolutionError extends MultiInheritanceError {
+  constructor(message, details) {
+    super(message, details, "ERR_RESOLUTION");
+  }
+}
 
 var MultiFactory = {};
 
+MultiFactory.MultiInheritanceError = MultiInheritanceError;
+MultiFactory.DuplicatePropertyError = DuplicatePropertyError;
+MultiFactory.MissingPropertyError = MissingPropertyError;
+MultiFactory.OverrideDisallowedError = OverrideDisallowedError;
+MultiFactory.DeletionDisallowedError = DeletionDisallowedError;
+MultiFactory.HandlerNotAllowedError = HandlerNotAllowedError;
+MultiFactory.FatherNotInHierarchyError = FatherNotInHierarchyError;
+MultiFactory.ResolutionError = ResolutionError;
+MultiFactory.CombinationError = CombinationError;
+MultiFactory.NoNextMethodError = NoNextMethodError;
+MultiFactory.CyclicHierarchyError = CyclicHierarchyError;
+MultiFactory.UnknownEventError = UnknownEventError;
+MultiFactory.SerializationError = SerializationError;
+MultiFactory.HierarchyLockedError = HierarchyLockedError;
+MultiFactory.ContractError = ContractError;
+MultiFactory.FatherNotLoadedError = FatherNotLoadedError;
+MultiFactory.ReadonlyPropertyError = ReadonlyPropertyError;
+MultiFactory.ProxyDisposedError = ProxyDisposedError;
+
 /**
  * Main method for constructing an object which inherits properties
  * from the objects in the fathersArray thus imitating multiple prototype delegation.
- * @param  {Array}   [fathersArray=[]]      The array of objects from which to imitate prototype delegation
+ * @param  {Array}   [fathersArray=[]]      The array of objects from which to imitate prototype delegation. A father can
+ *                                          also be passed as a descriptor { father, exclude, include, alias }, see addFatherToProxy,
+ *                                          as a thunk marked with lazy, which is called on the first lookup needing the
+ *                                          father, or as a Promise. See ready.
  * @param  {Boolean} [allowDuplicate=true]  Boolean to determine if duplicate properties from the fathers are allowed
  * @param  {Boolean} [errorIfMissing=false] Boolean to determine if to throw an error when accessing a non-existant property
  * @param  {Boolean} [allowOverride=true]   Boolean to determine if property overriding on the proxy is allowed
  * @param  {Boolean} [allowDeletion=false]  Boolean to determine if property deletion on all fathers in the hierarchy is permited.
+ * @param  {String|Function} [resolution="last-wins"] The strategy used to order the fathers when resolving a property.
+ *                                          One of "last-wins", "first-wins", "c3" or a function which receives
+ *                                          a copy of the fathers array and returns them ordered by priority.
+ * @param  {Object}  [combination={}]       An object which maps property names to method combinations. A combination
+ *                                          is the name of a registered combinator, a combinator function or an object
+ *                                          { type, before, after, around }. See registerCombinator.
+ * @param  {Boolean} [cache=false]          Boolean to determine if the father resolving each property should be cached.
+ *                                          The cache is invalidated by the MultiFactory methods, but not by direct changes
+ *                                          of the fathers. See invalidateCache.
+ * @param  {Array|Object} [requires={}]     The members the hierarchy is required to implement, validated on construction,
+ *                                          father removal and property deletion. An array of keys or an object which maps
+ *                                          each key to a type as returned by typeof, a predicate or true for any value.
+ *                                          See implements.
+ * @param  {String}  [pending="skip"]       The policy for lookups hitting a father which is not loaded yet. One of
+ *                                          "skip" to search the next fathers, "throw" to throw a FatherNotLoadedError
+ *                                          or "undefined" to read a property found after it as undefined.
+ *                                          Only reads are affected, in and the other checks skip it.
+ * @param  {String|Function} [writeTarget]  Where a property found in the fathers is written. One of "own" to shadow it on
+ *                                          the inner object like with real prototypes, "last" for the father it is read from,
+ *                                          "first" for the father with the lowest priority, "all" for all fathers having it,
+ *                                          or a function which receives the fathers having it ordered by priority, the key,
+ *                                          the value and the proxy and returns the father, or the proxy for the inner object.
+ *                                          Defaults to "all" if overrideAll is true, else to "last". Setters are called
+ *                                          with the proxy as this.
+ * @param  {Object|Array} [policies={}]     The access policies of single keys, as an object which maps keys to policies
+ *                                          or an array of [keyOrPattern, policy] pairs. See setPolicy.
  * @return {Proxy}                         A proxy object from which to access the properties/methods from the hierarchy
  */
-MultiFactory.constructInheritance =
-            function constructInheritance(
-                            fathersArray = [],
-                            {
-                              allowDuplicate: ad = true,
-                              errorIfMissing: eim = false,
-                              allowOverride: ao = true,
-                              allowDeletion: aDel = false,
-                              overrideAll: oa = false
-                            }
-                           ) {
-            // create the inner object
-            let targetObj = {};
-            // initialize symbol properties
-            targetObj[DUPLICATION_ALLOWED_SYMBOL] = ad;
-            targetObj[ERROR_IF_MISSING_SYMBOL] = eim;
-            targetObj[ALLOW_PROPERTY_OVERRIDE_SYMBOL] = ao;
-            targetObj[ALLOW_PROPERTY_DELETION_SYMBOL] = aDel;
-            targetObj[OVERRIDE_ALL_SYMBOL] = oa;
-            targetObj[PROTOTYPE_SYMBOL] = fathersArray;
-            // create an inner dependency to be used for property addition
-            // of elements that do not belong in the hierarchy
-            targetObj[INNER_OBJECT_SYMBOL] = targetObj;
-            //construct the proxy handlers
-            let handlers = constructHandlers();
-            // add a reference to the proxy's handlers
-            // to be used for dynamic addition\removeval of handlers
-            targetObj[HANDLERS_SYMBOL] = handlers;
-            return new Proxy(targetObj, handlers);
+MultiFactory.constructInheritance = function constructInheritance(fathersArray = [], options = {}) {
+  // create the inner object
+  return initializeMultiProxy({}, fathersArray, options);
+};
+
+/**
+ * Constructs a proxy like constructInheritance which can be revoked.
+ * Revoking disposes the proxy, see dispose, and then revokes it, so any further
+ * access throws a TypeError and the proxy no longer references the inner object.
+ * @param  {Array}  [fathersArray=[]] The fathers of the proxy.
+ * @param  {Object} [options={}]      The options, see constructInheritance.
+ * @return {Object}                   The proxy and the function revoking it { proxy, revoke }.
+ */
+MultiFactory.constructRevocableInheritance = function constructRevocableInheritance(fathersArray = [], options = {}) {
+  let revocable = null;
+  let proxy = initializeMultiProxy({}, fathersArray, options, (targetObj, handlers) => {
+    revocable = Proxy.revocable(targetObj, handlers);
+    return revocable.proxy;
+  });
+  return {
+    proxy: proxy,
+    revoke: () => {
+      MultiFactory.dispose(proxy);
+      revocable.revoke();
+    }
+  };
 };
 
+/**
+ * Constructs a class which inherits from all the passed classes. Each instance is a proxy
+ * whose fathers are the prototypes of the base classes and the prototype of the constructed
+ * class, so the mixed class can be extended as well. Each base class' constructor is called
+ * with the constructor arguments and the state it creates is copied to the inner object.
+ * The constructors run on separate objects, so the closures and bound functions they create
+ * and the objects they register this with refer to those objects, not to the instance.
+ * The static members of the base classes are delegated to in the same way and
+ * instanceof works for all base classes thru Symbol.hasInstance.
+ * @param  {...Function} bases   The base classes. If the last argument is not a function it is used
+ *                               as the options object passed to constructInheritance.
+ * @return {Function}            The mixed class.
+ */
+MultiFactory.mixClasses = function mixClasses(...bases) {
+  let options = {};
+  if(bases.length && typeof bases[bases.length - 1] !== "function") {
+    options = bases.pop();
+  }
+  // the contract applies to the instances, once the base classes' state is copied
+  let requires = normalizeContract(options.requires || {});
+  options = Object.assign({}, options, { requires: {} });
+  for(let base of bases) {
+    if(typeof base !== "function") {
+      throw new TypeError("Only classes can be mixed.");
+    }
+    installHasInstance(base);
+  }
+
+  let Mixed = function(...args) {
+    if(!new.target) {
+      throw new TypeError("Class constructor cannot be invoked without 'new'");
+    }
+    let fathersArray = bases.map((base) => base.prototype);
+    fathersArray.push(new.target.prototype);
+    let instance = initializeMultiProxy({}, fathersArray, options);
+    let inner = instance[INNER_OBJECT_SYMBOL];
+    // the base classes' constructors can't be called with the proxy as this,
+    // so copy the state each of them creates to the inner object
+    for(let base of bases) {
+      let state = Reflect.construct(base, args);
+      for(let key of Reflect.ownKeys(state)) {
+        Object.defineProperty(inner, key, Object.getOwnPropertyDescriptor(state, key));
+      }
+    }
+    Object.defineProperty(inner, "constructor", { value: new.target, writable: true, configurable: true });
+    inner[REQUIRES_SYMBOL] = requires;
+    assertContract(inner);
+    return instance;
+  };
+  Object.defineProperty(Mixed, Symbol.hasInstance, { value: mixedHasInstance, configurable: true });
+  return initializeMultiProxy(Mixed, bases.slice(), options);
+}
+
 /**
  * Removes the passed father object from the hierarchy only if it is present in it.
  * @param  {Proxy}  proxyObj      The proxy object from which to remove from it's hierarchy.
@@ -72,13 +487,22 @@ MultiFactory.constructInheritance =
  * @return {Boolean}                Boolean indicating if the father object was removed from the hierarchy.
  */
 MultiFactory.removeFatherFromProxy = function removeFatherFromProxy(proxyObj, father, silent = true) {
+    assertNotLocked(proxyObj[INNER_OBJECT_SYMBOL], "sealed", "remove a father");
     let fathersArray = proxyObj[PROTOTYPE_SYMBOL];
-    let index = fathersArray.indexOf(father);
+    let index = fatherIndex(fathersArray, father);
     if(!~index && !silent) {
-      throw "Passed object does not exist in hierarchy and silent is set to false";
+      throw new FatherNotInHierarchyError("Passed object does not exist in hierarchy and silent is set to false",
+                                          { proxy: proxyObj, fathers: [father] });
     }
     if(~index) {
-      fathersArray.splice(index, 1);
+      father = fathersArray.splice(index, 1)[0];
+      invalidateCaches(proxyObj);
+      assertContract(proxyObj[INNER_OBJECT_SYMBOL], () => {
+        fathersArray.splice(index, 0, father);
+        invalidateCaches(proxyObj);
+      });
+      unregisterFather(proxyObj[INNER_OBJECT_SYMBOL], father);
+      emit(proxyObj[INNER_OBJECT_SYMBOL], "fatherRemoved", { father: father });
       return true;
     }
     return false;
@@ -86,8 +510,12 @@ MultiFactory.removeFatherFromProxy = function removeFatherFromProxy(proxyObj, fa
 
 /**
  * Adds the father object to the hierarchy only if it is not already pesent.
+ * The father can be passed as a descriptor { father, exclude, include, alias } to use it as a trait.
+ * The excluded keys, or the keys not in include, are invisible for that father and alias maps
+ * original keys to additional names under which they are resolved, still with the proxy as this.
+ * The father can also be passed as a thunk or a Promise, see constructInheritance.
  * @param {Proxy}  proxyObj           The proxy object to whose hierarchy to add the father.
- * @param {Object}  father             The father object to be added to the hierarchy.
+ * @param {Object}  father             The father object or descriptor to be added to the hierarchy.
  * @param {Boolean} [putUpfront=false] Boolean to decide where to put in the fathers list
  *                                     the father. If set to true it will be put up front and
  *                                     if DUPLICATION_ALLOWED_SYMBOL is set to true, then it's
@@ -97,10 +525,29 @@ MultiFactory.removeFatherFromProxy = function removeFatherFromProxy(proxyObj, fa
  * @return {Boolean}                   Boolean indicating if the addition was successfull.
  */
 MultiFactory.addFatherToProxy = function addFatherToProxy(proxyObj, father, putUpfront = false) {
+  assertNotLocked(proxyObj[INNER_OBJECT_SYMBOL], "sealed", "add a father");
   let fathersArray = proxyObj[PROTOTYPE_SYMBOL];
-  let index = fathersArray.indexOf(father);
+  let index = fatherIndex(fathersArray, father);
   if(!~index) {
+    father = toFather(father);
+    let cyclePath = pathToAncestor(father, proxyObj);
+    if(cyclePath) {
+      throwCyclicHierarchyError([proxyObj].concat(cyclePath), proxyObj);
+    }
     putUpfront ? fathersArray.unshift(father) : fathersArray.push(father);
+    adoptLazyFathers(proxyObj[INNER_OBJECT_SYMBOL]);
+    if(proxyObj[RESOLUTION_SYMBOL] === "c3") {
+      // revert the addition if the new father makes the hierarchy inconsistent
+      try {
+        resolutionOrder(proxyObj[INNER_OBJECT_SYMBOL]);
+      } catch(e) {
+        fathersArray.splice(fathersArray.indexOf(father), 1);
+        throw e;
+      }
+    }
+    registerFathers(proxyObj[INNER_OBJECT_SYMBOL]);
+    invalidateCaches(proxyObj);
+    emit(proxyObj[INNER_OBJECT_SYMBOL], "fatherAdded", { father: father });
     return true;
   }
   return false;
@@ -119,10 +566,17 @@ MultiFactory.addFatherToProxy = function addFatherToProxy(proxyObj, father, putU
 MultiFactory.addPropertyToProxy = function addPropertyToProxy(proxyObj, propertyName, property) {
   // we have implemented a has handler, so the line bellow will check in the whole hierarchy
   let hasProperty = propertyName in proxyObj;
-  if(hasProperty && !proxyObj[ALLOW_PROPERTY_OVERRIDE_SYMBOL]) {
-    throw "Proxy already has a property with this name and overriding it is disallowed currently";
+  assertWritable(proxyObj[INNER_OBJECT_SYMBOL], propertyName);
+  if(hasProperty && !policyAllows(proxyObj[INNER_OBJECT_SYMBOL], propertyName, "override")) {
+    throw new OverrideDisallowedError("Proxy already has a property with this name and overriding it is disallowed currently",
+                                      { key: propertyName, proxy: proxyObj,
+                                        fathers: findProviders(proxyObj[INNER_OBJECT_SYMBOL], propertyName).map((p) => p.father) });
   }
+  assertNotLocked(proxyObj[INNER_OBJECT_SYMBOL], Reflect.has(proxyObj[INNER_OBJECT_SYMBOL], propertyName) ? "frozen" : "sealed",
+                  "add a property", propertyName);
   proxyObj[INNER_OBJECT_SYMBOL][propertyName] = property;
+  invalidateCaches(proxyObj);
+  emit(proxyObj[INNER_OBJECT_SYMBOL], "set", { key: propertyName, value: property, father: proxyObj });
 }
 
 /**
@@ -136,10 +590,17 @@ MultiFactory.addPropertyToProxy = function addPropertyToProxy(proxyObj, property
 MultiFactory.deletePropertyFromProxy = function deletePropertyFromProxy(proxyObj, propertyName, silent = true) {
   let hasProperty = Reflect.has(proxyObj[INNER_OBJECT_SYMBOL], propertyName);
   if(!hasProperty && !silent) {
-    throw "Could not delete property because it is not present and silent is set to false";
+    throw new MissingPropertyError("Could not delete property because it is not present and silent is set to false",
+                                   { key: propertyName, proxy: proxyObj });
   }
   if(hasProperty) {
+    assertNotLocked(proxyObj[INNER_OBJECT_SYMBOL], "sealed", "delete a property", propertyName);
+    assertDeletable(proxyObj[INNER_OBJECT_SYMBOL], propertyName);
+    let restore = snapshotProperty([proxyObj[INNER_OBJECT_SYMBOL]], propertyName);
     delete proxyObj[INNER_OBJECT_SYMBOL][propertyName];
+    invalidateCaches(proxyObj);
+    assertContract(proxyObj[INNER_OBJECT_SYMBOL], restore);
+    emit(proxyObj[INNER_OBJECT_SYMBOL], "delete", { key: propertyName, father: proxyObj });
     return true;
   }
   return false;
@@ -152,12 +613,64 @@ MultiFactory.deletePropertyFromProxy = function deletePropertyFromProxy(proxyObj
  * @return {Boolean}          True if present, false outherwise.
  */
 MultiFactory.isFatherInHierarchy = function isFatherInHierarchy(proxyObj, father) {
-  for(let proto of proxyObj[PROTOTYPE_SYMBOL]) {
-    if(proto == father) {
-      return true;
+  return !!~fatherIndex(proxyObj[PROTOTYPE_SYMBOL], father);
+}
+
+/**
+ * Checks to see if the passed object is a father on some level of the hierarchy,
+ * including the fathers of nested proxies.
+ * @param  {Proxy}   proxyObj The proxy object.
+ * @param  {Object}  obj      The object to be checked.
+ * @return {Boolean}          True if the object is an ancestor of the proxy, false outherwise.
+ */
+MultiFactory.isAncestor = function isAncestor(proxyObj, obj) {
+  return pathToAncestor(proxyObj, obj) !== null && proxyObj !== obj;
+}
+
+/**
+ * Returns all the ancestors of the proxy, walking the nested proxies breadth first, thru their views as well.
+ * An ancestor reachable thru several paths is listed only once with its smallest depth.
+ * @param  {Proxy} proxyObj The proxy object.
+ * @return {Array}          An array of { father, depth } objects, the immediate fathers having depth 1.
+ */
+MultiFactory.getAncestors = function getAncestors(proxyObj) {
+  let ancestors = [];
+  let visited = new Set([proxyObj]);
+  let walked = new Set([proxyObj]);
+  let level = [proxyObj];
+  for(let depth = 1; level.length; depth++) {
+    let nextLevel = [];
+    for(let proxy of level) {
+      for(let father of proxy[PROTOTYPE_SYMBOL]) {
+        if(visited.has(father)) continue;
+        visited.add(father);
+        ancestors.push({ father: father, depth: depth });
+        // the fathers of a nested proxy are walked thru its views as well
+        let source = fatherOf(father);
+        if(isMultiProxy(source) && !walked.has(source)) {
+          walked.add(source);
+          nextLevel.push(source);
+        }
+      }
     }
+    level = nextLevel;
   }
-  return false;
+  return ancestors;
+}
+
+/**
+ * Returns the depth of the hierarchy, which is the length of the longest
+ * path of fathers from the proxy.
+ * @param  {Proxy} proxyObj The proxy object.
+ * @return {Integer}        The depth of the hierarchy, 0 if the proxy has no fathers.
+ */
+MultiFactory.getDepth = function getDepth(proxyObj) {
+  let depth = 0;
+  for(let father of proxyObj[PROTOTYPE_SYMBOL]) {
+    let source = fatherOf(father);
+    depth = Math.max(depth, 1 + (isMultiProxy(source) ? getDepth(source) : 0));
+  }
+  return depth;
 }
 
 /**
@@ -177,7 +690,7 @@ MultiFactory.canFatherBeSafelyAdded = function canFatherBeSafelyAdded(proxyObj,
     // because we have implemented an ownKeys handler the first line
     // bellow will return all property names in the hierarchy
     let proxyNames = Object.getOwnPropertyNames(proxyObj);
-    let fatherNames = Object.getOwnPropertyNames(father);
+    let fatherNames = Object.getOwnPropertyNames(toFather(father));
     for(let fn of fatherNames) {
       if(~proxyNames.indexOf(fn)) {
         return false;
@@ -228,14 +741,17 @@ MultiFactory.isPropertyPresent = function isPropertyPresent(proxyObj, propertyNa
  * @return {Array}          An array of the duplicate property names in the hierarchy.
  */
 MultiFactory.getDuplicatePropertiesList = function getDuplicatePropertyList(proxyObj) {
-  // we have implemented an ownKeys handler so the line bellow
-  // will get all property names in the hierarchy
-  let proxyNames = Object.getOwnPropertyNames(proxyObj);
+  // the ownKeys handler removes the duplicates, so get the property names
+  // of the inner object and of each father separately
+  let proxyNames = Object.keys(proxyObj[INNER_OBJECT_SYMBOL]);
+  for(let proto of proxyObj[PROTOTYPE_SYMBOL]) {
+    proxyNames = proxyNames.concat(Object.getOwnPropertyNames(proto));
+  }
   let counterObj = {};
   let duplicatesArr = [];
   for(let name of proxyNames) {
     if(name in counterObj) {
-      duplicatesArr.push(name);
+      if(++counterObj[name] === 1) duplicatesArr.push(name);
     } else {
       counterObj[name] = 0;
     }
@@ -264,223 +780,1124 @@ MultiFactory.getUniquePropertiesList = function getUniquePropertiesList(proxyObj
 
 /**
  * Returns the immidiated /one level above/ fathers of the proxy inner object.
+ * A father added with a descriptor is listed as the view exposing only its filtered members.
+ * @param  {Proxy}   proxyObj         The proxy object.
+ * @param  {Boolean} [detailed=false] If true return a descriptor { father, exclude, include, alias, state }
+ *                                    for each father instead, include being null if not set. The state is
+ *                                    "loaded", or "lazy", "pending" or "failed" for the thunks and Promises
+ *                                    passed as fathers which are not loaded, the father being the thunk or Promise.
+ * @return {Array}                    An array of the proxies inner object immidiate parents.
+ */
+MultiFactory.getProxyFathersList = function getProxyFathersList(proxyObj, detailed = false) {
+  if(!detailed) {
+    return proxyObj[PROTOTYPE_SYMBOL];
+  }
+  return proxyObj[PROTOTYPE_SYMBOL].map(fatherDescriptor);
+}
+
+/**
+ * Returns the fathers of the proxy in the order in which they are searched
+ * when resolving a property, the first one having the highest priority.
+ * For the "c3" strategy the order is the linearization of the whole hierarchy,
+ * so the nested proxies' fathers are included as well.
  * @param  {Proxy} proxyObj The proxy object.
- * @return {Array}          An array of the proxies inner object immidiate parents.
+ * @return {Array}          A new array of the fathers ordered by priority.
  */
-MultiFactory.getProxyFathersList = function getProxyFathersList(proxyObj) {
-  return proxyObj[PROTOTYPE_SYMBOL];
+MultiFactory.getResolutionOrder = function getResolutionOrder(proxyObj) {
+  return resolutionOrder(proxyObj[INNER_OBJECT_SYMBOL]);
 }
 
 /**
- * Adds a handler to the proxy object only if it is in the ALLOWED_HANDLERS_LIST.
- * @param {Proxy} proxyObj    The proxy object.
- * @param {String} handlerName The name of the handler.
- * @param {Function} handler   The handler function.
- * @return {Boolean}           True if the handler was added, false outherwise.
+ * Calls the implementation of the method which comes after the one of the current
+ * father in the resolution order of the proxy, thus imitating a cooperative super call.
+ * Nested proxies are searched as well, so the next implementation may be in a father
+ * of a nested proxy. The method is called with the proxy as this.
+ * @param  {Proxy}  proxyObj      The proxy object.
+ * @param  {Object} currentFather The father whose implementation is calling. If the proxy
+ *                                itself is passed, the first father's implementation is called.
+ * @param  {String} key           The method name.
+ * @param  {...*}   args          The arguments to call the next implementation with.
+ * @return {*}                    The result of the next implementation.
  */
-MultiFactory.addHandler = function addHandler(proxyObj, handlerName, handler, silent = false) {
-  let index = ALLOWED_HANDLERS_LIST.indexOf(handlerName);
-  if(!~index && !silent) {
-    throw "Handler '" + handlerName + "' is not in the list of allowed hadlers to add.";
+MultiFactory.callNext = function callNext(proxyObj, currentFather, key, ...args) {
+  let chain = methodChain(proxyObj[INNER_OBJECT_SYMBOL], key);
+  let index = 0;
+  if(currentFather !== proxyObj) {
+    index = chain.findIndex((link) => link.father === currentFather || fatherOf(link.father) === currentFather);
+    if(!~index) {
+      throw new FatherNotInHierarchyError("Passed father does not implement '" + String(key) + "' in the hierarchy.",
+                                          { key: key, proxy: proxyObj, fathers: [currentFather] });
+    }
+    index++;
+  }
+  if(index >= chain.length) {
+    throw new NoNextMethodError("There is no next implementation of '" + String(key) + "' in the hierarchy.",
+                                { key: key, proxy: proxyObj, fathers: chain.map((link) => link.father) });
   }
+  let method = Reflect.get(chain[index].source, key, proxyObj);
+  return method.apply(proxyObj, args);
+}
 
-  if(!~index) return false;
+/**
+ * Invalidates the lookup cache of the proxy and of all proxies which have it in
+ * their hierarchy. It should be called after a father object is changed directly,
+ * instead of thru the MultiFactory methods or a proxy.
+ * @param  {Proxy|Object} proxyObj The proxy object whose cache to invalidate, or a father object
+ *                                 which was changed to invalidate the caches of the proxies delegating to it.
+ */
+MultiFactory.invalidateCache = function invalidateCache(proxyObj) {
+  invalidateCaches(proxyObj);
+}
 
-  proxyObj[HANDLERS_SYMBOL][handlerName] = handler;
-  return true;
+/**
+ * Explains how the property is resolved on the proxy. Lists whether the inner object has
+ * the property and every father in the hierarchy that defines it, recursing into nested
+ * proxies, in the order in which they are searched.
+ * @param  {Proxy}  proxyObj The proxy object.
+ * @param  {String} key      The property name.
+ * @return {Object}          A trace { key, inInner, candidates, winner, combination, wouldThrow, errorCode },
+ *                           where each candidate is { father, depth, wins }. The inner object is listed
+ *                           as the proxy itself with depth 0.
+ */
+MultiFactory.explain = function explain(proxyObj, key) {
+  let target = proxyObj[INNER_OBJECT_SYMBOL];
+  let depths = new Map(this.getAncestors(proxyObj).map((a) => [a.father, a.depth]));
+  let inInner = Reflect.has(target, key);
+  let candidates = methodChain(target, key).map((link) => {
+    return { father: link.father, depth: depths.get(link.father), wins: false };
+  });
+  if(inInner) {
+    candidates.unshift({ father: proxyObj, depth: 0, wins: false });
+  }
+  let errorCode = lookupErrorCode(target, key);
+  let combination = inInner ? null : target[COMBINATION_SYMBOL][key] || null;
+  let winner = null;
+  if(!errorCode && candidates.length) {
+    candidates[0].wins = true;
+    winner = candidates[0].father;
+  }
+  return {
+    key: key,
+    inInner: inInner,
+    candidates: candidates,
+    winner: winner,
+    combination: combination,
+    wouldThrow: errorCode !== null,
+    errorCode: errorCode
+  };
 }
 
 /**
- * Removes a handler from the proxy only if it is from the ALLOWED_HANDLERS_LIST.
- * @param  {proxy}  proxyObj      The proxy object.
- * @param  {String}  handlerName   The handler name.
- * @param  {Boolean} [silent=true] If false throw error if the handler name passed
- *                                 is in the DISALLOWED_HANDLERS_LIST;
- * @return {Boolean}               True if the handler was removed, false outherwise.
+ * Finds all properties defined in more than one father in the whole hierarchy,
+ * recursing into nested proxies. Only own properties of the fathers are considered
+ * and each father is checked only once.
+ * @param  {Proxy} proxyObj The proxy object.
+ * @return {Object}         An object which maps each conflicting property name
+ *                          to the array of fathers defining it, ordered by priority.
  */
-MultiFactory.removeHandler = function removeHandler(proxyObj, handlerName, silent = true) {
-  let index = DISALLOWED_HANDLERS_LIST.indexOf(handlerName);
+MultiFactory.auditConflicts = function auditConflicts(proxyObj) {
+  let owners = new Map();
+  for(let link of searchChain(proxyObj[INNER_OBJECT_SYMBOL])) {
+    for(let key of ownKeysOf(link.father)) {
+      if(!owners.has(key)) owners.set(key, []);
+      owners.get(key).push(link.father);
+    }
+  }
+  let conflicts = {};
+  for(let [key, fathers] of owners) {
+    if(fathers.length > 1) conflicts[key] = fathers;
+  }
+  return conflicts;
+}
 
-  if(~index && !silent) {
-    throw "Handler '" + handlerName + "' is in the list of disallowed hadlers to remove.";
+/**
+ * Adds a listener for an event on the proxy. The supported events are "get", "set", "delete",
+ * "missing" (the property is not found, emitted before errorIfMissing throws), "conflict" (a property
+ * found in several fathers is resolved), "fatherAdded", "fatherRemoved" and "optionChanged".
+ * The listener is called with an event object { type, proxy, key, value, father }, where father
+ * is the father involved or the proxy itself if the property is on the inner object.
+ * @param  {Proxy}    proxyObj The proxy object.
+ * @param  {String}   event    The event name.
+ * @param  {Function} listener The listener function.
+ */
+MultiFactory.on = function on(proxyObj, event, listener) {
+  if(!~EVENTS_LIST.indexOf(event)) {
+    throw new UnknownEventError("Event '" + event + "' is not supported.", { key: event, proxy: proxyObj });
   }
+  let listeners = proxyObj[LISTENERS_SYMBOL];
+  if(!listeners[event]) listeners[event] = [];
+  listeners[event].push(listener);
+  invalidateCaches(proxyObj);
+}
 
-  if(~ALLOWED_HANDLERS_LIST.indexOf(handlerName)) {
-    delete proxyObj[HANDLERS_SYMBOL][handlerName];
+/**
+ * Removes a listener for an event from the proxy.
+ * @param  {Proxy}    proxyObj The proxy object.
+ * @param  {String}   event    The event name.
+ * @param  {Function} listener The listener function.
+ * @return {Boolean}           True if the listener was removed, false outherwise.
+ */
+MultiFactory.off = function off(proxyObj, event, listener) {
+  let listeners = proxyObj[LISTENERS_SYMBOL][event] || [];
+  let index = listeners.indexOf(listener);
+  if(~index) {
+    listeners.splice(index, 1);
+    invalidateCaches(proxyObj);
     return true;
   }
-
   return false;
 }
 
 /**
- * Gets the handlers that are currently on the proxy.
- * @param  {Proxy} proxyObj  The proxy object.
- * @return {Array}           An array containing the names of the handlers attached to the proxy.
+ * Produces a plain object with the effective values of the proxy's enumerable string keys,
+ * as they are read thru the proxy under the current resolution rules.
+ * Properties whose values are proxies are flattened as well.
+ * @param  {Proxy}   proxyObj                 The proxy object.
+ * @param  {Boolean} [includeMethods=false]   Boolean to determine if the methods should be copied.
+ * @param  {Integer} [depth=Infinity]         How many levels of proxy values to flatten. The proxy
+ *                                            values below that level are left out.
+ * @return {Object}                           The plain object.
  */
-MultiFactory.getProxyHandlers = function getProxyHandlers(proxyObj) {
-  return Object.getOwnPropertyNames(proxyObj[HANDLERS_SYMBOL]);
+MultiFactory.flatten = function flatten(proxyObj, { includeMethods = false, depth = Infinity } = {}) {
+  let flat = {};
+  for(let key of Object.keys(proxyObj)) {
+    let value = proxyObj[key];
+    if(typeof value === "function" && !includeMethods) continue;
+    if(isMultiProxy(value)) {
+      if(depth <= 0) continue;
+      value = flatten(value, { includeMethods: includeMethods, depth: depth - 1 });
+    }
+    flat[key] = value;
+  }
+  return flat;
 }
 
 /**
- * Returns a copy of the array of allowed hadlers.
- * @return {Array}  The allowed handlers to add/remove/override.
+ * Serializes the hierarchy of the proxy to a JSON compatible object, preserving the inner
+ * object's data, the ordered fathers, including nested proxies, and the options. Fathers found
+ * in the registry are stored by name and other fathers are stored as copies of their data.
+ * Methods are not serialized, so the fathers holding them should be in the registry.
+ * A father shared by several proxies is stored once.
+ * @param  {Proxy}  proxyObj      The proxy object.
+ * @param  {Object} [registry={}] An object which maps names to father objects.
+ * @return {Object}               The serialized hierarchy { version, root, nodes }.
  */
-MultiFactory.getAllowedHandlersList = function getAllowedHandlersList() {
-  return JSON.parse(JSON.stringify(ALLOWED_HANDLERS_LIST));
+MultiFactory.serialize = function serialize(proxyObj, registry = {}) {
+  let names = new Map(Object.keys(registry).map((name) => [registry[name], name]));
+  let ids = new Map();
+  let nodes = [];
+  let serializeNode = (obj) => {
+    if(ids.has(obj)) return ids.get(obj);
+    let id = nodes.length;
+    ids.set(obj, id);
+    nodes.push(null);
+    if(LAZY_FATHERS_MAP.has(obj)) {
+      throw new SerializationError("A father which is not loaded can't be serialized.", { proxy: proxyObj });
+    }
+    if(TRAIT_FILTERS_MAP.has(obj)) {
+      let filters = fatherDescriptor(obj);
+      let keys = filters.exclude.concat(filters.include || [], Object.keys(filters.alias));
+      if(keys.some((key) => typeof key === "symbol")) {
+        throw new SerializationError("A father descriptor with symbol keys can't be serialized.");
+      }
+      nodes[id] = { type: "trait", father: serializeNode(filters.father), exclude: filters.exclude,
+                    include: filters.include, alias: filters.alias };
+    } else if(names.has(obj)) {
+      nodes[id] = { type: "ref", name: names.get(obj) };
+    } else if(isMultiProxy(obj)) {
+      let target = obj[INNER_OBJECT_SYMBOL];
+      nodes[id] = {
+        type: "proxy",
+        inner: toData(target),
+        options: serializableOptions(target),
+        fathers: target[PROTOTYPE_SYMBOL].map(serializeNode)
+      };
+    } else {
+      nodes[id] = { type: "object", value: toData(obj) };
+    }
+    return id;
+  };
+  let root = serializeNode(proxyObj);
+  return { version: 1, root: root, nodes: nodes };
 }
 
 /**
- * Returns a copy of the array of disallowed hadlers.
- * @return {Array}  The disallowed handlers to add/remove/override.
+ * Reconstructs a hierarchy serialized with serialize.
+ * @param  {Object} data          The serialized hierarchy.
+ * @param  {Object} [registry={}] An object which maps names to the live father objects.
+ * @return {Proxy}                The reconstructed proxy.
  */
-MultiFactory.getDisallowedHandlersList = function getDisallowedHandlersList() {
-  return JSON.parse(JSON.stringify(DISALLOWED_HANDLERS_LIST));
+MultiFactory.deserialize = function deserialize(data, registry = {}) {
+  let built = new Map();
+  let buildNode = (id) => {
+    if(built.has(id)) return built.get(id);
+    let node = data.nodes[id];
+    let obj;
+    if(!node) {
+      throw new SerializationError("Node " + id + " is missing from the serialized data.");
+    }
+    if(node.type === "ref") {
+      if(!Object.prototype.hasOwnProperty.call(registry, node.name)) {
+        throw new SerializationError("Father '" + node.name + "' is not in the registry.", { key: node.name });
+      }
+      obj = registry[node.name];
+    } else if(node.type === "trait") {
+      obj = toFather({ father: buildNode(node.father), exclude: node.exclude, include: node.include || undefined,
+                       alias: node.alias });
+    } else if(node.type === "proxy") {
+      let options = Object.assign({}, node.options, { requires: {} });
+      obj = this.constructInheritance(node.fathers.map(buildNode), options);
+      let inner = obj[INNER_OBJECT_SYMBOL];
+      Object.assign(inner, node.inner);
+      inner[REQUIRES_SYMBOL] = normalizeContract(node.options && node.options.requires || {});
+      assertContract(inner);
+    } else {
+      obj = Object.assign({}, node.value);
+    }
+    built.set(id, obj);
+    return obj;
+  };
+  return buildNode(data.root);
 }
 
 /**
- * Creates/overrides a property on the inner target object and all it's fathers in the
- * hierarchy. This is used as a different set logic that using the set handler.
+ * Exports the inheritance graph of the proxy, walking the nested proxies. Each node lists
+ * its own keys and the keys getDuplicatePropertiesList flags for a proxy are highlighted
+ * wherever they are defined in its hierarchy. The edges are numbered by the priority of the
+ * father in the resolution order of the proxy, 1 being the highest. A shared ancestor is present only once.
+ * @param  {Proxy}  proxyObj          The proxy object.
+ * @param  {String} [format="json"]   One of "json", "dot" (Graphviz) or "mermaid".
+ * @param  {Object} [names={}]        An object which maps names to objects, used for the node labels.
+ * @return {Object|String}            An object { nodes, edges } for "json", else the graph source.
  */
-MultiFactory.createPropertyOnProxyAndFathers = function createPropertyOnProxyAndFathers(proxyObj, propertyName, property) {
-  let setCounter = 0;
-  if(Reflect.set(proxyObj[INNER_OBJECT_SYMBOL], propertyName, property)) setCounter++;
-
-  for (let proto of proxyObj[PROTOTYPE_SYMBOL] ) {
-    Reflect.set(proto, propertyName, property);
-    setCounter++;
+MultiFactory.toGraph = function toGraph(proxyObj, { format = "json", names = {} } = {}) {
+  if(!~GRAPH_FORMATS_LIST.indexOf(format)) {
+    throw new MultiInheritanceError("Graph format '" + format + "' is not supported.", { proxy: proxyObj });
   }
-  return setCounter;
+  let labels = new Map(Object.keys(names).map((name) => [names[name], name]));
+  let objects = [proxyObj].concat(this.getAncestors(proxyObj).map((a) => a.father));
+  let ids = new Map(objects.map((obj, index) => [obj, "n" + index]));
+  let duplicates = new Map(objects.map((obj) => [obj, new Set()]));
+  let edges = [];
+  for(let obj of objects) {
+    // a view of a nested proxy links to the fathers of the proxy
+    let source = fatherOf(obj);
+    if(!isMultiProxy(source)) continue;
+    let target = source[INNER_OBJECT_SYMBOL];
+    let flagged = this.getDuplicatePropertiesList(source);
+    let order = resolutionOrder(target);
+    for(let node of [obj].concat(this.getAncestors(source).map((a) => a.father))) {
+      let keys = ownKeysOf(node);
+      flagged.filter((key) => ~keys.indexOf(key)).forEach((key) => duplicates.get(node).add(key));
+    }
+    for(let father of target[PROTOTYPE_SYMBOL]) {
+      let priority = order.indexOf(father) + 1;
+      edges.push({ from: ids.get(obj), to: ids.get(father), priority: priority || null });
+    }
+  }
+  let nodes = objects.map((obj) => {
+    return {
+      id: ids.get(obj),
+      label: labels.has(fatherOf(obj)) ? labels.get(fatherOf(obj)) : describeObject(obj),
+      keys: ownKeysOf(obj).map(String),
+      duplicates: Array.from(duplicates.get(obj))
+    };
+  });
+  if(format === "dot") {
+    return dotGraph(nodes, edges);
+  }
+  if(format === "mermaid") {
+    return mermaidGraph(nodes, edges);
+  }
+  return { nodes: nodes, edges: edges };
 }
 
 /**
- * Deletes the property with the passed name from all the fathers in
- * the hierarchy and the inner object. This is used for logic different
- * then the delete operator. See the deletePropety handler.
+ * Freezes the proxy. Its fathers, options and handlers can't be changed anymore and
+ * the properties of the inner object and the fathers can't be added, set or deleted thru it.
+ * With deep, every ancestor is frozen as well, the ones which are not proxies with Object.freeze.
+ * @param  {Proxy}   proxyObj       The proxy object.
+ * @param  {Boolean} [deep=false]   Boolean to determine if the ancestors are frozen as well.
+ * @return {Proxy}                  The proxy object.
  */
-MultiFactory.deletePropertyOnProxyAndFathers = function deletePropertyOnProxyAndFathers(proxyObj, propertyName) {
-  let deletedCounter = 0;
-  if(Reflect.has(proxyObj[INNER_OBJECT_SYMBOL], propertyName)){
-    delete proxyObj[INNER_OBJECT_SYMBOL][propertyName];
-    deletedCounter++;
-  }
-
-  for (let proto of target[PROTOTYPE_SYMBOL] ) {
-    if(Reflect.has(proto,propertyName)){
-      delete proto[propertyName];
-      deletedCounter++;
-    }
-  }
+MultiFactory.freeze = function freeze(proxyObj, { deep = false } = {}) {
+  return lockProxy(proxyObj, "frozen", deep);
+}
 
-  return deletedCounter;
+/**
+ * Seals the proxy. Its fathers, options and handlers can't be changed anymore and properties
+ * can't be added to or deleted from it, but the existing ones can still be set.
+ * With deep, every ancestor is sealed as well, the ones which are not proxies with Object.seal.
+ * @param  {Proxy}   proxyObj       The proxy object.
+ * @param  {Boolean} [deep=false]   Boolean to determine if the ancestors are sealed as well.
+ * @return {Proxy}                  The proxy object.
+ */
+MultiFactory.seal = function seal(proxyObj, { deep = false } = {}) {
+  return lockProxy(proxyObj, "sealed", deep);
 }
 
 /**
- * Construct the handlers to be used for the multiple prototype delegation simulation.
- * These handlers can't and should not be directly modified.
- * @return {Object}  An object containg the proxy handlers.
+ * Checks if the proxy and all of its ancestors are frozen, so the proxy can be safely shared.
+ * @param  {Proxy}  proxyObj The proxy object.
+ * @return {Boolean}         True if the whole hierarchy is frozen, false outherwise.
  */
-function constructHandlers() {
+MultiFactory.isFrozenHierarchy = function isFrozenHierarchy(proxyObj) {
+  let objects = [proxyObj].concat(this.getAncestors(proxyObj).map((a) => fatherOf(a.father)));
+  return objects.every((obj) => isMultiProxy(obj) ? obj[LOCK_SYMBOL] === "frozen" : Object.isFrozen(obj));
+}
 
-    // PS: It's really good Symbols are not enumerable in for..in :)
-    let handlers = {}
+/**
+ * Checks if the hierarchy of the proxy implements the contract. The values are
+ * checked against the type, as returned by typeof, or the predicate of each key.
+ * @param  {Proxy}        proxyObj       The proxy object.
+ * @param  {Array|Object} [contract]     The contract, an array of keys or an object which maps each key
+ *                                       to a type, a predicate or true for any value. Defaults to the
+ *                                       contract passed in the requires option.
+ * @param  {Boolean}      [silent=true]  If false throw a ContractError listing the missing members.
+ * @return {Boolean}                     True if the contract is implemented, false outherwise.
+ */
+MultiFactory.implements = function implementsContract(proxyObj, contract, silent = true) {
+  let normalized = contract === undefined ? proxyObj[REQUIRES_SYMBOL] : normalizeContract(contract);
+  let violations = contractViolations(proxyObj[INNER_OBJECT_SYMBOL], normalized);
+  if(violations.length && !silent) {
+    throwContractError(proxyObj, violations);
+  }
+  return !violations.length;
+}
 
-    /**
+/**
+ * Marks the function as a thunk, so when it is passed as a father it is called on the first
+ * lookup needing the father and the object or Promise it returns is used as the father.
+ * Functions which are not marked are used as fathers themselves.
+ * @param  {Function} thunk The function returning the father.
+ * @return {Function}       The function.
+ */
+MultiFactory.lazy = function lazy(thunk) {
+  if(typeof thunk !== "function") {
+    throw new TypeError("Only functions can be marked as lazy fathers.");
+  }
+  LAZY_THUNKS_SET.add(thunk);
+  return thunk;
+}
+
+/**
+ * Waits for the fathers passed as Promises, in the whole hierarchy, to load,
+ * and then validates the contract of the proxy, which is not validated at construction
+ * while such a father is pending. The fathers passed as thunks are still loaded
+ * on the first lookup needing them.
+ * @param  {Proxy}   proxyObj The proxy object.
+ * @return {Promise}          A Promise resolving to the proxy when all pending fathers have loaded,
+ *                            or rejecting with the error of a father which failed to load or a ContractError.
+ */
+MultiFactory.ready = async function ready(proxyObj) {
+  // a loaded father may be a proxy with pending fathers of its own
+  for(let pending = lazyRecords(proxyObj); pending.some((r) => r.state === "pending"); pending = lazyRecords(proxyObj)) {
+    await Promise.all(pending.map((r) => r.promise));
+  }
+  let failed = lazyRecords(proxyObj).find((r) => r.state === "failed");
+  if(failed) {
+    throw failed.error;
+  }
+  assertContract(proxyObj[INNER_OBJECT_SYMBOL]);
+  return proxyObj;
+}
+
+/**
+ * Sets the access policy of a key or of the keys matching a pattern. A policy is an object
+ * { override, delete, duplicate, errorIfMissing, readonly } of booleans, where each field which is set
+ * takes precedence over the corresponding option of the proxy and readonly disallows any write of the key.
+ * The policy of a key takes precedence over the patterns, of which the most recently set one matching wins.
+ * A policy disallowing deletion protects the key on the inner object as well, the deletion methods included.
+ * @param  {Proxy}                proxyObj     The proxy object.
+ * @param  {String|Symbol|RegExp} keyOrPattern The key or the pattern the string keys are tested against.
+ * @param  {Object}               policy       The policy, undefined or null to remove it.
+ */
+MultiFactory.setPolicy = function setPolicy(proxyObj, keyOrPattern, policy) {
+  let target = proxyObj[INNER_OBJECT_SYMBOL];
+  assertNotLocked(target, "sealed", "change the options", "policies");
+  let previous = storePolicy(target[POLICIES_SYMBOL], keyOrPattern, policy);
+  invalidateCaches(proxyObj);
+  emit(target, "optionChanged", { key: "policies", property: keyOrPattern, value: policy, previous: previous });
+}
+
+/**
+ * Returns the effective access policy of the key, combining its policy, the patterns
+ * matching it and the options of the proxy.
+ * @param  {Proxy}         proxyObj The proxy object.
+ * @param  {String|Symbol} key      The property key.
+ * @return {Object}                 The policy { override, delete, duplicate, errorIfMissing, readonly }.
+ */
+MultiFactory.getPolicy = function getPolicy(proxyObj, key) {
+  let policy = {};
+  for(let field of Object.keys(POLICY_FIELDS)) {
+    policy[field] = !!policyAllows(proxyObj[INNER_OBJECT_SYMBOL], key, field);
+  }
+  return policy;
+}
+
+/**
+ * Applies the changes made by the callback to the proxy together. If the callback throws,
+ * or the hierarchy is invalid when the outermost transaction commits, the fathers order,
+ * the inner object's properties, the options, the handlers and the lock are rolled back
+ * and the error is rethrown. The contract of the proxy is only validated on commit, so a
+ * father can be replaced in two steps. Transactions can be nested and a nested one which
+ * throws rolls back only its own changes. Changes made directly to the fathers are not
+ * rolled back and the events are emitted as the changes are made. The callback must be synchronous,
+ * if it returns a Promise or another thenable the changes are rolled back and a TypeError is thrown.
+ * @param  {Proxy}    proxyObj The proxy object.
+ * @param  {Function} callback The function making the changes. It receives a transaction object with
+ *                             the proxy, the methods changing the proxy bound to it, such as
+ *                             addFatherToProxy(father) or setPolicy(key, policy), and transaction(callback).
+ * @return {Object}            The changes { fathers: { added, removed, order }, properties: { added, changed, removed },
+ *                             options: { name: { previous, value } } }.
+ */
+MultiFactory.transaction = function transaction(proxyObj, callback) {
+  let target = proxyObj[INNER_OBJECT_SYMBOL];
+  let snapshot = snapshotProxy(target);
+  let tx = { proxy: proxyObj, transaction: (nested) => this.transaction(proxyObj, nested) };
+  for(let name of TRANSACTION_METHODS_LIST) {
+    tx[name] = (...args) => this[name](proxyObj, ...args);
+  }
+  target[TRANSACTION_SYMBOL]++;
+  try {
+    let result = callback(tx);
+    if(result !== null && (typeof result === "object" || typeof result === "function") &&
+       typeof result.then === "function") {
+      // the changes made after an await can't be rolled back, the TypeError reports the misuse instead of the rejection
+      result.then(undefined, () => {});
+      throw new TypeError("The transaction callback must be synchronous, it returned a thenable.");
+    }
+  } catch(e) {
+    restoreProxy(target, snapshot);
+    throw e;
+  } finally {
+    target[TRANSACTION_SYMBOL]--;
+  }
+  if(!target[TRANSACTION_SYMBOL]) {
+    try {
+      // the validations deferred during the transaction
+      resolutionOrder(target);
+      assertContract(target);
+    } catch(e) {
+      restoreProxy(target, snapshot);
+      throw e;
+    }
+  }
+  return diffSnapshot(target, snapshot);
+}
+
+/**
+ * Copies the proxy. The clone has a copy of the inner object's own properties, a new fathers
+ * array with the same order, the same options and the same handlers, including the custom ones
+ * added with addHandler. The fathers which are not proxies are always shared with the original.
+ * With deep, the fathers which are proxies are cloned as well, recursively, and an ancestor
+ * shared by several of them is cloned only once. The event listeners and the lock are not copied.
+ * @param  {Proxy}   proxyObj      The proxy object.
+ * @param  {Boolean} [deep=false]  Boolean to determine if the fathers which are proxies are cloned.
+ * @return {Proxy}                 The clone.
+ */
+MultiFactory.clone = function clone(proxyObj, { deep = false } = {}) {
+  return cloneProxy(proxyObj, deep, new Map());
+}
+
+/**
+ * Creates a child proxy which has the proxy as its first father, followed by the extra fathers,
+ * so with the default resolution the extra fathers take precedence over the proxy. The original
+ * is shared, not copied, so its later changes are visible thru the child. The child takes the
+ * options of the proxy, overridden by the passed ones.
+ * @param  {Proxy}  proxyObj             The proxy object.
+ * @param  {Array}  [extraFathers=[]]    The additional fathers of the child.
+ * @param  {Object} [optionOverrides={}] The options which differ from the proxy's, see constructInheritance.
+ * @return {Proxy}                       The child proxy.
+ */
+MultiFactory.derive = function derive(proxyObj, extraFathers = [], optionOverrides = {}) {
+  let options = Object.assign(readOptions(proxyObj[INNER_OBJECT_SYMBOL]), optionOverrides);
+  return initializeMultiProxy({}, [proxyObj].concat(extraFathers), options);
+}
+
+/**
+ * Disposes the proxy. Its fathers list is cleared, it is removed from the fathers of the proxies
+ * which have it as a father, even if they are locked, and any further access to it throws
+ * a ProxyDisposedError. The contracts of those proxies are not validated.
+ * @param  {Proxy}   proxyObj The proxy object.
+ * @return {Boolean}          True if the proxy was disposed, false if it was already disposed.
+ */
+MultiFactory.dispose = function dispose(proxyObj) {
+  if(DISPOSED_PROXIES_SET.has(proxyObj)) return false;
+
+  let target = proxyObj[INNER_OBJECT_SYMBOL];
+  for(let child of childrenOf(proxyObj)) {
+    let childTarget = child[INNER_OBJECT_SYMBOL];
+    let fathersArray = childTarget[PROTOTYPE_SYMBOL];
+    let removed = fathersArray.filter((father) => fatherOf(father) === proxyObj);
+    if(Object.isFrozen(fathersArray)) {
+      childTarget[PROTOTYPE_SYMBOL] = Object.freeze(fathersArray.filter((father) => !~removed.indexOf(father)));
+    } else {
+      for(let father of removed) {
+        fathersArray.splice(fathersArray.indexOf(father), 1);
+      }
+    }
+    unregisterFather(childTarget, proxyObj);
+    invalidateCaches(child);
+    for(let father of removed) {
+      emit(childTarget, "fatherRemoved", { father: father });
+    }
+  }
+  let fathersArray = target[PROTOTYPE_SYMBOL];
+  target[PROTOTYPE_SYMBOL] = [];
+  for(let father of fathersArray) {
+    unregisterFather(target, father);
+  }
+  // drop the references the proxy keeps and make every trap throw
+  target[LISTENERS_SYMBOL] = {};
+  target[MIDDLEWARE_SYMBOL] = { traps: {}, handlers: {} };
+  target[CACHE_SYMBOL] = null;
+  let handlers = target[HANDLERS_SYMBOL];
+  let disposedHandler = disposedTrap(target[ID_SYMBOL]);
+  for(let name of ALLOWED_HANDLERS_LIST.concat(DISALLOWED_HANDLERS_LIST)) {
+    handlers[name] = disposedHandler;
+  }
+  invalidateCaches(proxyObj);
+  DISPOSED_PROXIES_SET.add(proxyObj);
+  PROXY_TARGETS_MAP.delete(proxyObj);
+  return true;
+}
+
+/**
+ * Returns the proxies which have the object as a father, directly or thru a father descriptor.
+ * The proxies are tracked with weak references, so the ones which are no longer used are not kept alive.
+ * @param  {Object} father The father object.
+ * @return {Array}         The proxies.
+ */
+MultiFactory.getDirectChildren = function getDirectChildren(father) {
+  return childrenOf(fatherOf(father));
+}
+
+/**
+ * Returns the proxies which delegate to the object, see getDirectChildren.
+ * @param  {Object}  father             The father object.
+ * @param  {Boolean} [transitive=true]  Boolean to determine if the proxies delegating to the object thru
+ *                                      other proxies are included, nearest first.
+ * @return {Array}                      The proxies.
+ */
+MultiFactory.getDescendants = function getDescendants(father, { transitive = true } = {}) {
+  let descendants = childrenOf(fatherOf(father));
+  if(!transitive) return descendants;
+  for(let i = 0; i < descendants.length; i++) {
+    for(let child of childrenOf(descendants[i])) {
+      if(!~descendants.indexOf(child)) descendants.push(child);
+    }
+  }
+  return descendants;
+}
+
+/**
+ * Replaces the father in the fathers list of every proxy which has it as a father, keeping its position.
+ * A father added with a descriptor is replaced by a view of the new father with the same filters,
+ * unless the new father is a descriptor itself. A proxy which already has the new father as a father
+ * only loses the old one. If the new father would create a cycle, make a c3 hierarchy inconsistent or
+ * break a contract the change is reverted for all the proxies.
+ * @param  {Object} oldFather The father object to replace.
+ * @param  {Object} newFather The father object or descriptor replacing it.
+ * @return {Array}            The proxies whose fathers list changed.
+ */
+MultiFactory.replaceFather = function replaceFather(oldFather, newFather) {
+  oldFather = fatherOf(oldFather);
+  let children = childrenOf(oldFather);
+  let changes = children.map((child) => {
+    let target = child[INNER_OBJECT_SYMBOL];
+    assertNotLocked(target, "sealed", "replace a father");
+    let previous = target[PROTOTYPE_SYMBOL].slice();
+    let present = previous.some((father) => fatherOf(father) === fatherOf(newFather));
+    let fathers = [];
+    for(let father of previous) {
+      if(fatherOf(father) !== oldFather) {
+        fathers.push(father);
+        continue;
+      }
+      if(present) continue;
+      let replacement = toFather(newFather);
+      if(TRAIT_FILTERS_MAP.has(father) && replacement === newFather && !TRAIT_FILTERS_MAP.has(newFather)) {
+        let descriptor = fatherDescriptor(father);
+        replacement = toFather({ father: newFather, exclude: descriptor.exclude,
+                                 include: descriptor.include || undefined, alias: descriptor.alias });
+      }
+      let cyclePath = pathToAncestor(replacement, child);
+      if(cyclePath) {
+        throwCyclicHierarchyError([child].concat(cyclePath), child);
+      }
+      fathers.push(replacement);
+    }
+    return { target: target, previous: previous, fathers: fathers };
+  });
+  let apply = (key) => {
+    for(let change of changes) {
+      let fathersArray = change.target[PROTOTYPE_SYMBOL];
+      fathersArray.splice(0, fathersArray.length, ...change[key]);
+      adoptLazyFathers(change.target);
+      registerFathers(change.target);
+      invalidateCaches(change.target);
+    }
+  };
+  apply("fathers");
+  try {
+    for(let change of changes) {
+      if(change.target[RESOLUTION_SYMBOL] === "c3") resolutionOrder(change.target);
+      assertContract(change.target);
+    }
+  } catch(e) {
+    apply("previous");
+    throw e;
+  }
+  for(let change of changes) {
+    unregisterFather(change.target, oldFather);
+    for(let father of change.previous.filter((father) => !~change.fathers.indexOf(father))) {
+      emit(change.target, "fatherRemoved", { father: father });
+    }
+    for(let father of change.fathers.filter((father) => !~change.previous.indexOf(father))) {
+      emit(change.target, "fatherAdded", { father: father });
+    }
+  }
+  return children;
+}
+
+/**
+ * Registers a combinator to be used for method combination. The combinator
+ * is called with the fathers' methods ordered by priority, the arguments
+ * of the call and the this object, and its result is returned to the caller.
+ * The built-in combinators are "all", "reverse", "collect", "and" and "or".
+ * @param  {String}   name       The name of the combinator.
+ * @param  {Function} combinator The combinator function.
+ */
+MultiFactory.registerCombinator = function registerCombinator(name, combinator) {
+  if(typeof combinator !== "function") {
+    throw new CombinationError("Combinator '" + name + "' must be a function.");
+  }
+  COMBINATORS[name] = combinator;
+}
+
+/**
+ * Adds a handler to the proxy object only if it is in the ALLOWED_HANDLERS_LIST.
+ * @param {Proxy} proxyObj    The proxy object.
+ * @param {String} handlerName The name of the handler.
+ * @param {Function} handler   The handler function.
+ * @return {Boolean}           True if the handler was added, false outherwise.
+ */
+MultiFactory.addHandler = function addHandler(proxyObj, handlerName, handler, silent = false) {
+  let index = ALLOWED_HANDLERS_LIST.indexOf(handlerName);
+  if(!~index && !silent) {
+    throw new HandlerNotAllowedError("Handler '" + handlerName + "' is not in the list of allowed hadlers to add.",
+                                     { key: handlerName, proxy: proxyObj });
+  }
+
+  if(!~index) return false;
+
+  assertNotLocked(proxyObj[INNER_OBJECT_SYMBOL], "sealed", "add a handler", handlerName);
+  setHandler(proxyObj[INNER_OBJECT_SYMBOL], handlerName, handler);
+  return true;
+}
+
+/**
+ * Removes a handler from the proxy only if it is from the ALLOWED_HANDLERS_LIST.
+ * @param  {proxy}  proxyObj      The proxy object.
+ * @param  {String}  handlerName   The handler name.
+ * @param  {Boolean} [silent=true] If false throw error if the handler name passed
+ *                                 is in the DISALLOWED_HANDLERS_LIST;
+ * @return {Boolean}               True if the handler was removed, false outherwise.
+ */
+MultiFactory.removeHandler = function removeHandler(proxyObj, handlerName, silent = true) {
+  let index = DISALLOWED_HANDLERS_LIST.indexOf(handlerName);
+
+  if(~index && !silent) {
+    throw new HandlerNotAllowedError("Handler '" + handlerName + "' is in the list of disallowed hadlers to remove.",
+                                     { key: handlerName, proxy: proxyObj });
+  }
+
+  if(~ALLOWED_HANDLERS_LIST.indexOf(handlerName)) {
+    assertNotLocked(proxyObj[INNER_OBJECT_SYMBOL], "sealed", "remove a handler", handlerName);
+    setHandler(proxyObj[INNER_OBJECT_SYMBOL], handlerName, undefined);
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Gets the handlers that are currently on the proxy.
+ * @param  {Proxy} proxyObj          The proxy object.
+ * @param  {Boolean} [detailed=false] Boolean to determine if the middleware of each handler is returned.
+ * @return {Array}                   An array containing the names of the handlers attached to the proxy,
+ *                                   or of { name, middleware } objects listing the middleware in the
+ *                                   order they run if detailed is true.
+ */
+MultiFactory.getProxyHandlers = function getProxyHandlers(proxyObj, detailed = false) {
+  let names = Object.getOwnPropertyNames(proxyObj[HANDLERS_SYMBOL]);
+  if(!detailed) return names;
+  let traps = proxyObj[MIDDLEWARE_SYMBOL].traps;
+  return names.map((name) => ({ name: name, middleware: (traps[name] || []).slice() }));
+}
+
+/**
+ * Adds a middleware around a trap of the proxy, the delegation traps included.
+ * The middleware is called with a context { trap, proxy, target, args, key } and a next function,
+ * args being the arguments of the trap which the middleware may change before calling next.
+ * Next runs the middleware added after it and then the handler, and returns the result of the trap,
+ * so the middleware can act before and after the handler, change the result or not call next at all.
+ * The middleware is skipped for the symbol properties used by the MultiFactory.
+ * @param  {Proxy}    proxyObj   The proxy object.
+ * @param  {String}   trapName   The name of the trap.
+ * @param  {Function} middleware The middleware function (ctx, next) => result.
+ */
+MultiFactory.use = function use(proxyObj, trapName, middleware) {
+  if(!~ALLOWED_HANDLERS_LIST.indexOf(trapName) && !~DISALLOWED_HANDLERS_LIST.indexOf(trapName)) {
+    throw new HandlerNotAllowedError("Handler '" + trapName + "' is not a trap of the proxy.",
+                                     { key: trapName, proxy: proxyObj });
+  }
+  if(typeof middleware !== "function") {
+    throw new TypeError("The middleware of '" + trapName + "' must be a function.");
+  }
+  let target = proxyObj[INNER_OBJECT_SYMBOL];
+  assertNotLocked(target, "sealed", "add a middleware", trapName);
+  let store = target[MIDDLEWARE_SYMBOL];
+  if(!store.traps[trapName]) {
+    let handlers = target[HANDLERS_SYMBOL];
+    store.handlers[trapName] = handlers[trapName];
+    store.traps[trapName] = [];
+    handlers[trapName] = dispatchMiddleware(trapName);
+    invalidateCaches(target);
+  }
+  store.traps[trapName].push(middleware);
+}
+
+/**
+ * Removes a middleware added by use from a trap of the proxy.
+ * @param  {Proxy}    proxyObj   The proxy object.
+ * @param  {String}   trapName   The name of the trap.
+ * @param  {Function} middleware The middleware function.
+ * @return {Boolean}             True if the middleware was removed, false if it was not on the trap.
+ */
+MultiFactory.removeMiddleware = function removeMiddleware(proxyObj, trapName, middleware) {
+  let target = proxyObj[INNER_OBJECT_SYMBOL];
+  let store = target[MIDDLEWARE_SYMBOL];
+  let middlewareList = store.traps[trapName] || [];
+  let index = middlewareList.lastIndexOf(middleware);
+  if(!~index) return false;
+
+  assertNotLocked(target, "sealed", "remove a middleware", trapName);
+  middlewareList.splice(index, 1);
+  if(!middlewareList.length) {
+    // put back the handler the middleware wrapped
+    let handler = store.handlers[trapName];
+    delete store.traps[trapName];
+    delete store.handlers[trapName];
+    setHandler(target, trapName, handler);
+  }
+  return true;
+}
+
+/**
+ * Returns a copy of the array of allowed hadlers.
+ * @return {Array}  The allowed handlers to add/remove/override.
+ */
+MultiFactory.getAllowedHandlersList = function getAllowedHandlersList() {
+  return JSON.parse(JSON.stringify(ALLOWED_HANDLERS_LIST));
+}
+
+/**
+ * Returns a copy of the array of disallowed hadlers.
+ * @return {Array}  The disallowed handlers to add/remove/override.
+ */
+MultiFactory.getDisallowedHandlersList = function getDisallowedHandlersList() {
+  return JSON.parse(JSON.stringify(DISALLOWED_HANDLERS_LIST));
+}
+
+/**
+ * Creates/overrides a property on the inner target object and all it's fathers in the
+ * hierarchy. This is used as a different set logic that using the set handler.
+ * A policy disallowing the override of the property protects it as well.
+ */
+MultiFactory.createPropertyOnProxyAndFathers = function createPropertyOnProxyAndFathers(proxyObj, propertyName, property) {
+  assertNotLocked(proxyObj[INNER_OBJECT_SYMBOL], Reflect.has(proxyObj[INNER_OBJECT_SYMBOL], propertyName) ? "frozen" : "sealed",
+                  "create a property", propertyName);
+  assertWritable(proxyObj[INNER_OBJECT_SYMBOL], propertyName);
+  if(policyOf(proxyObj[INNER_OBJECT_SYMBOL], propertyName, "override") === false && propertyName in proxyObj) {
+    throw new OverrideDisallowedError("Overriding of '" + String(propertyName) + "' is disallowed by its policy.",
+                                      { key: propertyName, proxy: proxyObj,
+                                        fathers: findProviders(proxyObj[INNER_OBJECT_SYMBOL], propertyName).map((p) => p.father) });
+  }
+  let setCounter = 0;
+  if(Reflect.set(proxyObj[INNER_OBJECT_SYMBOL], propertyName, property)) setCounter++;
+
+  for (let proto of proxyObj[PROTOTYPE_SYMBOL] ) {
+    Reflect.set(proto, propertyName, property);
+    setCounter++;
+    invalidateCaches(proto);
+  }
+  invalidateCaches(proxyObj);
+  emit(proxyObj[INNER_OBJECT_SYMBOL], "set", { key: propertyName, value: property, father: proxyObj,
+                                              fathers: proxyObj[PROTOTYPE_SYMBOL].slice() });
+  return setCounter;
+}
+
+/**
+ * Deletes the property with the passed name from all the fathers in
+ * the hierarchy and the inner object. This is used for logic different
+ * then the delete operator. See the deletePropety handler.
+ */
+MultiFactory.deletePropertyOnProxyAndFathers = function deletePropertyOnProxyAndFathers(proxyObj, propertyName) {
+  assertNotLocked(proxyObj[INNER_OBJECT_SYMBOL], "sealed", "delete a property", propertyName);
+  assertDeletable(proxyObj[INNER_OBJECT_SYMBOL], propertyName);
+  let deletedCounter = 0;
+  let fathers = [];
+  let restore = snapshotProperty([proxyObj[INNER_OBJECT_SYMBOL]].concat(proxyObj[PROTOTYPE_SYMBOL]), propertyName);
+  if(Reflect.has(proxyObj[INNER_OBJECT_SYMBOL], propertyName)){
+    delete proxyObj[INNER_OBJECT_SYMBOL][propertyName];
+    deletedCounter++;
+  }
+
+  for (let proto of proxyObj[PROTOTYPE_SYMBOL] ) {
+    if(Reflect.has(proto,propertyName)){
+      delete proto[propertyName];
+      fathers.push(proto);
+      deletedCounter++;
+      invalidateCaches(proto);
+    }
+  }
+
+  invalidateCaches(proxyObj);
+  assertContract(proxyObj[INNER_OBJECT_SYMBOL], restore);
+  emit(proxyObj[INNER_OBJECT_SYMBOL], "delete", { key: propertyName, father: proxyObj, fathers: fathers });
+  return deletedCounter;
+}
+
+/**
+ * Initializes the symbol properties of the inner object and wraps it in a proxy.
+ * See constructInheritance for the options.
+ * @param  {Object} targetObj    The inner object of the proxy.
+ * @param  {Array}  fathersArray The array of objects from which to imitate prototype delegation.
+ * @param  {Object} options      The options of the proxy.
+ * @return {Proxy}               The proxy object.
+ */
+function initializeMultiProxy(
+                  targetObj,
+                  fathersArray,
+                  {
+                    allowDuplicate: ad = true,
+                    errorIfMissing: eim = false,
+                    allowOverride: ao = true,
+                    allowDeletion: aDel = false,
+                    overrideAll: oa = false,
+                    resolution: res = "last-wins",
+                    combination: comb = {},
+                    cache: ca = false,
+                    requires: req = {},
+                    pending: pend = "skip",
+                    writeTarget: wt = null,
+                    policies: pol = {}
+                  } = {},
+                  createProxy = (target, handlers) => new Proxy(target, handlers)
+                 ) {
+  validateResolution(res);
+  validatePendingPolicy(pend);
+  validateWriteTarget(wt);
+  fathersArray = fathersArray.map(toFather);
+  for(let father of fathersArray) {
+    let cyclePath = findCycle(father);
+    if(cyclePath) {
+      throwCyclicHierarchyError(cyclePath);
+    }
+  }
+  let contract = normalizeContract(req);
+  let policies = { keys: new Map(), patterns: [] };
+  for(let [keyOrPattern, policy] of Array.isArray(pol) ? pol : Reflect.ownKeys(pol).map((key) => [key, pol[key]])) {
+    storePolicy(policies, keyOrPattern, policy);
+  }
+  let combinationObj = {};
+  for(let key of Reflect.ownKeys(comb)) {
+    combinationObj[key] = normalizeCombination(comb[key], key);
+  }
+  // initialize symbol properties
+  targetObj[DUPLICATION_ALLOWED_SYMBOL] = ad;
+  targetObj[ERROR_IF_MISSING_SYMBOL] = eim;
+  targetObj[ALLOW_PROPERTY_OVERRIDE_SYMBOL] = ao;
+  targetObj[ALLOW_PROPERTY_DELETION_SYMBOL] = aDel;
+  targetObj[OVERRIDE_ALL_SYMBOL] = oa;
+  targetObj[PROTOTYPE_SYMBOL] = fathersArray;
+  // create an inner dependency to be used for property addition
+  // of elements that do not belong in the hierarchy
+  targetObj[INNER_OBJECT_SYMBOL] = targetObj;
+  //construct the proxy handlers
+  let handlers = constructHandlers();
+  // add a reference to the proxy's handlers
+  // to be used for dynamic addition\removeval of handlers
+  targetObj[HANDLERS_SYMBOL] = handlers;
+  targetObj[RESOLUTION_SYMBOL] = res;
+  targetObj[COMBINATION_SYMBOL] = combinationObj;
+  targetObj[ID_SYMBOL] = ++proxyCounter;
+  targetObj[CACHE_SYMBOL] = ca ? createCache() : null;
+  targetObj[LISTENERS_SYMBOL] = {};
+  targetObj[LOCK_SYMBOL] = null;
+  targetObj[REQUIRES_SYMBOL] = contract;
+  targetObj[PENDING_SYMBOL] = pend;
+  targetObj[WRITE_TARGET_SYMBOL] = wt;
+  targetObj[POLICIES_SYMBOL] = policies;
+  targetObj[TRANSACTION_SYMBOL] = 0;
+  targetObj[MIDDLEWARE_SYMBOL] = { traps: {}, handlers: {} };
+  adoptLazyFathers(targetObj);
+  let proxy = createProxy(targetObj, handlers);
+  // keep a reference to the proxy for the handlers that don't receive it
+  targetObj[PROXY_SYMBOL] = proxy;
+  PROXY_TARGETS_MAP.set(proxy, targetObj);
+  registerFathers(targetObj);
+  // fail early if the hierarchy can not be linearized
+  if(res === "c3") resolutionOrder(targetObj);
+  // the contract of a hierarchy with a pending father is validated by ready
+  if(!Reflect.ownKeys(contract).length || !lazyRecords(proxy).some((r) => r.state === "pending")) {
+    assertContract(targetObj);
+  }
+  return proxy;
+}
+
+/**
+ * Construct the handlers to be used for the multiple prototype delegation simulation.
+ * These handlers can't and should not be directly modified.
+ * @return {Object}  An object containg the proxy handlers.
+ */
+function constructHandlers() {
+
+    // PS: It's really good Symbols are not enumerable in for..in :)
+    let handlers = {}
+
+    /**
      * The get handler for the proxy object.
      */
     handlers.get = function get(target,key,receiver) {
             // first check the inner object
             // if it is there get it
             if (Reflect.has( target, key )) {
-                return Reflect.get(target, key, receiver);
+                let value = Reflect.get(target, key, receiver);
+                emit(target, "get", { key: key, value: value, father: target[PROXY_SYMBOL] });
+                return value;
             } else {
                 // fake the multiple `[[Prototype]]` delegation
-                let isPresent = false;
-                let foundProp = undefined;
-                let counter = 0;
-                // check all of the properties of the fathers in the hierarchy
-                // and use the last found one
-                for (let proto of target[PROTOTYPE_SYMBOL] ) {
-                    if (Reflect.has( proto, key )) {
-                        isPresent = true;
-                        foundProp =  Reflect.get(proto, key, receiver);
-                        counter++;
-                    }
+                // by searching the fathers in their resolution order
+                // and using the first found one
+                let combination = target[COMBINATION_SYMBOL][key];
+                // if a method combination is set for the property call the methods
+                // of all the fathers, the nested proxies' ones included, thru one function
+                if(combination) {
+                  let chain = methodChain(target, key);
+                  if(chain.length) {
+                    let combined = combineMethods(combination, chain, key, receiver);
+                    emit(target, "get", { key: key, value: combined, father: chain[0].father,
+                                          fathers: chain.map((link) => link.father) });
+                    return combined;
+                  }
+                }
+                let duplicateAllowed = policyAllows(target, key, "duplicate");
+                let providers = findProviders(target, key, !duplicateAllowed || hasListeners(target, "conflict"), true);
+                // a father which is not loaded ahead of the found ones is read as undefined by the pending policy
+                if(providers.length && providers[0].pending) {
+                  emit(target, "get", { key: key, value: undefined, father: providers[0].father });
+                  return undefined;
                 }
+                providers = loadedProviders(providers, false);
                 // if the DUPLICATION_ALLOWED_SYMBOL is set to false and there are
                 // the searched property is a duplicate one throw an error
-                if(counter > 1 && !target[DUPLICATION_ALLOWED_SYMBOL]) {
-                    throw "Method/property exists in " + counter + " entities. Duplication of methods/properties in prototype chain was disallowed.";
+                if(providers.length > 1 && !duplicateAllowed) {
+                    throw new DuplicatePropertyError("Method/property exists in " + providers.length + " entities. Duplication of methods/properties in prototype chain was disallowed.",
+                                                     { key: key, proxy: target[PROXY_SYMBOL], fathers: providers.map((p) => p.father) });
                 }
                 // if the property is not found and ERROR_IF_MISSING_SYMBOL is set to true
                 // throw an error, else return the property or undefined
-                if(target[ERROR_IF_MISSING_SYMBOL]) {
-                  if(isPresent) {
-                    return foundProp;
-                  } else {
-                    throw "Method/property not found in prototype chain.";
+                if(!providers.length) {
+                  emit(target, "missing", { key: key });
+                  if(policyAllows(target, key, "errorIfMissing")) {
+                    throw new MissingPropertyError("Method/property not found in prototype chain.",
+                                                   { key: key, proxy: target[PROXY_SYMBOL], fathers: target[PROTOTYPE_SYMBOL].slice() });
                   }
-                } else {
-                  return foundProp;
+                  return undefined;
                 }
+                // read from the object the property was found in, past the nested proxies
+                let value = Reflect.get((providers[0].leaf || providers[0]).source, key, receiver);
+                if(providers.length > 1) {
+                  emit(target, "conflict", { key: key, value: value, father: providers[0].father,
+                                             fathers: providers.map((p) => p.father) });
+                }
+                emit(target, "get", { key: key, value: value, father: providers[0].father });
+                return value;
             }
           };
 
     /**
      * The set handler for the proxy object. If the inner object has
-     * the property then it's property is set. If it doesn't have and
-     * OVERRIDE_ALL_SYMBOL is true, then that property is overriden in all
-     * fathers in the hierarchy, else the property in the last father is
-     * overriden. If the property is not found anywhere it is created on the
-     * inner object.
+     * the property then it's property is set. If it doesn't have, the
+     * property is written where the write target of the proxy determines,
+     * in the fathers or shadowed on the inner object. If the property is
+     * not found anywhere it is created on the inner object.
      */
     handlers.set = function set(target,key,val,receiver) {
                 // first search the inner object of the proxy
                 // if it has that property override only it.
                 // To override the same property in the inner object
                 // and in all the fathers use the corresponding method
+                let isInternal = !!~INTERNAL_SYMBOLS_LIST.indexOf(key);
+                if(!isInternal) assertWritable(target, key);
                 if(Reflect.has(target, key)) {
-                  Reflect.set(target, key, val);
+                  // the internal symbols hold the fathers and the options, which a sealed proxy keeps
+                  assertNotLocked(target, isInternal ? "sealed" : "frozen", "set a property", key);
+                  writeProperty(target, key, val, receiver);
+                  emit(target, "set", { key: key, value: val, father: target[PROXY_SYMBOL] });
                   return true;
                 } else {
-                  let isPresent = false;
-                  let foundProp = undefined;
-                  // search in the hierarchy
-                  for (let proto of target[PROTOTYPE_SYMBOL] ) {
-                      if (Reflect.has( proto, key )) {
-                          if(!target[ALLOW_PROPERTY_OVERRIDE_SYMBOL]){
-                              throw "Overriding of properties/methods of hierarchy fathers is currently disallowed."
-                          }
-                          if(target[OVERRIDE_ALL_SYMBOL]){
-                            Reflect.set(proto, key, val);
-                            isPresent = true;
-                          } else {
-                            foundProp = proto;
-                            isPresent = true;
-                          }
+                  // search in the hierarchy, the fathers which are not loaded are not searched
+                  let writeTarget = writeTargetOf(target);
+                  let providers = findProviders(target, key, !~["last", "own"].indexOf(writeTarget));
+                  let isPresent = providers.length > 0;
+                  if(isPresent && !policyAllows(target, key, "override")) {
+                      throw new OverrideDisallowedError("Overriding of properties/methods of hierarchy fathers is currently disallowed.",
+                                                        { key: key, proxy: target[PROXY_SYMBOL], fathers: providers.map((p) => p.father) });
+                  }
+                  let written = isPresent ? selectWriteProviders(target, writeTarget, providers, key, val) : [];
+                  // the property was set in the fathers
+                  if(written.length) {
+                    assertNotLocked(target, "frozen", "set a property", key);
+                    // a linearized order holds the inner objects of the nested proxies, whose locks and policies apply
+                    for(let provider of written) {
+                      if(Object.prototype.hasOwnProperty.call(provider.source, PROXY_SYMBOL)) {
+                        assertWritable(provider.source, key);
+                        assertNotLocked(provider.source, "frozen", "set a property", key);
                       }
+                    }
+                    for(let provider of written) {
+                      writeProperty(provider.source, key, val, receiver);
+                    }
+                    emit(target, "set", { key: key, value: val, father: written[0].father,
+                                          fathers: written.map((p) => p.father) });
+                    return true;
                   }
-                  // if OVERRIDE_ALL_SYMBOL is false
-                  // override the property of the last object added
-                  // to the heirarchy
-                  if(!target[OVERRIDE_ALL_SYMBOL] && isPresent) {
-                    Reflect.set(foundProp,key,val);
+                  // the property is shadowed on the inner object
+                  if(isPresent) {
+                    assertNotLocked(target, "sealed", "add a property", key);
+                    Reflect.set(target, key, val);
+                    invalidateCaches(target);
+                    emit(target, "set", { key: key, value: val, father: target[PROXY_SYMBOL] });
                     return true;
                   }
 
-                  // the property was set
-                  if(isPresent) return true;
-
+                  emit(target, "missing", { key: key, value: val });
                   // if the flag is set
-                  if(target[ERROR_IF_MISSING_SYMBOL]) {
-                      throw "Method/property not found in prototype chain.";
+                  if(policyAllows(target, key, "errorIfMissing")) {
+                      throw new MissingPropertyError("Method/property not found in prototype chain.",
+                                                     { key: key, proxy: target[PROXY_SYMBOL], fathers: target[PROTOTYPE_SYMBOL].slice() });
                   }
                   // if the flag is not set and the property is not found
                   // create it on the inner object
-                  if(!target[ERROR_IF_MISSING_SYMBOL] && !isPresent) {
-                    Reflect.set(target, key, val);
-                    return true;
-                  }
+                  assertNotLocked(target, "sealed", "add a property", key);
+                  Reflect.set(target, key, val);
+                  invalidateCaches(target);
+                  emit(target, "set", { key: key, value: val, father: target[PROXY_SYMBOL] });
+                  return true;
                 }
           };
 
@@ -493,65 +1910,1716 @@ function constructHandlers() {
           return true;
         }
         // now check in the hierarchy
-        for(let proto of target[PROTOTYPE_SYMBOL]) {
-          if (Reflect.has(proto, prop)) {
-            return true;
-          }
-        }
-
-        return false;
+        return findProviders(target, prop, false).length > 0;
     }
 
     /**
-     * Handler for Object.getOwnPropertyNames
+     * Handler for Object.getOwnPropertyNames, Object.keys, spreading and for..in.
+     * Returns the keys of the inner object and the fathers without duplicates,
+     * including symbols but not the internal Symbol keys.
      */
     handlers.ownKeys = function ownKeys(target) {
-      let keysArr = [];
-      // do not add the internal Symbol keys, they are not enumerable
-      for(let i in target) {
-        keysArr.push(i);
+      // a non-extensible target must report exactly its own keys
+      if(!Reflect.isExtensible(target)) {
+        return Reflect.ownKeys(target);
       }
-      // get the keys of the fathers
-      for(let proto of target[PROTOTYPE_SYMBOL]) {
-        let names = Object.getOwnPropertyNames(proto);
-        keysArr = keysArr.concat(names);
+      loadLazyFathers(target);
+      let keysSet = new Set(ownKeysOf(target[PROXY_SYMBOL]));
+      // get the keys of the fathers, a nested proxy reports the keys of its hierarchy
+      let linearized = target[RESOLUTION_SYMBOL] === "c3";
+      for(let father of resolutionOrder(target)) {
+        let source = lookupSource(father, linearized);
+        let keys = source === father ? Reflect.ownKeys(father) : ownKeysOf(father);
+        for(let key of keys) {
+          keysSet.add(key);
+        }
       }
 
-      return keysArr;
+      return Array.from(keysSet);
+    }
+
+    /**
+     * Handler for Object.getOwnPropertyDescriptor. Reports the descriptor of the father
+     * from which the property is read. As the property is not on the inner object,
+     * it is reported as configurable to satisfy the proxy invariants.
+     */
+    handlers.getOwnPropertyDescriptor = function getOwnPropertyDescriptor(target, key) {
+      let descriptor = Reflect.getOwnPropertyDescriptor(target, key);
+      // a non-extensible target must report exactly its own properties
+      if(!Reflect.isExtensible(target)) {
+        return descriptor;
+      }
+      if(descriptor) {
+        return ~INTERNAL_SYMBOLS_LIST.indexOf(key) ? undefined : descriptor;
+      }
+      // inherited by the inner object from its native prototype
+      if(Reflect.has(target, key)) {
+        return undefined;
+      }
+      let providers = findProviders(target, key, false);
+      if(!providers.length) {
+        return undefined;
+      }
+      descriptor = Reflect.getOwnPropertyDescriptor(providers[0].source, key);
+      return descriptor && Object.assign({}, descriptor, { configurable: true });
     }
 
     /**
      * Handler for delete operator.
      */
     handlers.deleteProperty = function deleteProperty(target, prop) {
+        assertNotLocked(target, "sealed", "delete a property", prop);
+        if(!~INTERNAL_SYMBOLS_LIST.indexOf(prop)) assertDeletable(target, prop);
         // if in the inner object, then no problem delete it
         if(Reflect.has(target,prop)) {
+          let restore = snapshotProperty([target], prop);
           delete target[prop];
+          invalidateCaches(target);
+          assertContract(target, restore);
+          emit(target, "delete", { key: prop, father: target[PROXY_SYMBOL] });
           return true;
         }
         // if target deletion is disallowed (default) throw an exception
-        if(!target[ALLOW_PROPERTY_DELETION_SYMBOL]) {
-          throw "Property deletion thru proxy is currently disallowed. " +
-                "Can be set to false in setAllowDeletionOnProxy method. " +
-                "If true it will delete the property from all fathers in the hierarchy !!!";
+        if(!policyAllows(target, prop, "delete")) {
+          throw new DeletionDisallowedError("Property deletion thru proxy is currently disallowed. " +
+                                            "Can be set to false in setAllowDeletionOnProxy method. " +
+                                            "If true it will delete the property from all fathers in the hierarchy !!!",
+                                            { key: prop, proxy: target[PROXY_SYMBOL],
+                                              fathers: findProviders(target, prop).map((p) => p.father) });
         }
         // deletes from all fathers in the hierarchy
         let isDeleted = false;
+        let fathers = [];
+        let restore = snapshotProperty(target[PROTOTYPE_SYMBOL], prop);
         for(let proto of target[PROTOTYPE_SYMBOL]) {
           if(Reflect.has(proto,prop)) {
             delete proto[prop];
+            fathers.push(proto);
             isDeleted= true;
           }
         }
+        if(isDeleted) {
+          for(let father of fathers) {
+            invalidateCaches(father);
+          }
+          assertContract(target, restore);
+          emit(target, "delete", { key: prop, father: fathers[fathers.length - 1], fathers: fathers });
+        }
 
         return isDeleted;
     }
 
-    return handlers;
-}
+    /**
+     * Handler for Object.defineProperty. Defines the property on the inner object,
+     * unless the proxy is sealed and the property is new or the proxy is frozen.
+     * The access policies apply like for the set handler.
+     */
+    handlers.defineProperty = function defineProperty(target, key, descriptor) {
+        if(~INTERNAL_SYMBOLS_LIST.indexOf(key)) {
+          assertNotLocked(target, "sealed", "define a property", key);
+          return Reflect.defineProperty(target, key, descriptor);
+        }
+        assertWritable(target, key);
+        let isNew = !Reflect.getOwnPropertyDescriptor(target, key);
+        if(isNew && !policyAllows(target, key, "override")) {
+          // shadowing a property of the fathers is an override
+          let providers = findProviders(target, key);
+          if(providers.length) {
+            throw new OverrideDisallowedError("Overriding of properties/methods of hierarchy fathers is currently disallowed.",
+                                              { key: key, proxy: target[PROXY_SYMBOL], fathers: providers.map((p) => p.father) });
+          }
+        }
+        assertNotLocked(target, isNew ? "sealed" : "frozen", isNew ? "add a property" : "define a property", key);
+        let isDefined = Reflect.defineProperty(target, key, descriptor);
+        if(isDefined && isNew) invalidateCaches(target);
+        return isDefined;
+    }
 
-//getters
-MultiFactory.getAllowDuplicateOnProxy = function getAllowDuplicateOnProxy(proxyObj) {
+    /**
+     * Handler for Object.setPrototypeOf, which changes the native prototype
+     * of the inner object unless the proxy is sealed.
+     */
+    handlers.setPrototypeOf = function setPrototypeOf(target, prototype) {
+        assertNotLocked(target, "sealed", "set the prototype");
+        return Reflect.setPrototypeOf(target, prototype);
+    }
+
+    /**
+     * Handler for Object.preventExtensions, Object.seal and Object.freeze. The inner object
+     * is kept extensible, as a non-extensible target would have to report its internal
+     * Symbol keys, so the handler reports the failure and the Object methods throw a TypeError.
+     * The proxy is locked with MultiFactory.seal and MultiFactory.freeze instead.
+     */
+    handlers.preventExtensions = function preventExtensions(target) {
+        return false;
+    }
+
+    DEFAULT_HANDLERS_SET.add(handlers.get).add(handlers.has);
+    return handlers;
+}
+
+/**
+ * Validates the policy and stores it for the key or the pattern, replacing the previous one.
+ * A policy of undefined or null removes the previous one.
+ * @param  {Object}               policies     The policies { keys, patterns } of the proxy.
+ * @param  {String|Symbol|RegExp} keyOrPattern The key or the pattern.
+ * @param  {Object}               policy       The policy.
+ * @return {Object}                            The previous policy or undefined.
+ */
+function storePolicy(policies, keyOrPattern, policy) {
+  if(policy !== undefined && policy !== null) {
+    for(let field of Reflect.ownKeys(policy)) {
+      if(!(field in POLICY_FIELDS) || typeof policy[field] !== "boolean") {
+        throw new TypeError("Policy field '" + String(field) + "' is not supported or not a boolean.");
+      }
+    }
+    policy = Object.assign({}, policy);
+  }
+  let previous;
+  if(keyOrPattern instanceof RegExp) {
+    let index = policies.patterns.findIndex((entry) => String(entry.pattern) === String(keyOrPattern));
+    if(~index) previous = policies.patterns.splice(index, 1)[0].policy;
+    if(policy) policies.patterns.push({ pattern: keyOrPattern, policy: policy });
+  } else {
+    previous = policies.keys.get(keyOrPattern);
+    policy ? policies.keys.set(keyOrPattern, policy) : policies.keys.delete(keyOrPattern);
+  }
+  return previous;
+}
+
+/**
+ * Returns the policies in the form accepted by the policies option.
+ * @param  {Object} policies The policies { keys, patterns } of the proxy.
+ * @return {Array}           An array of [keyOrPattern, policy] pairs.
+ */
+function policyEntries(policies) {
+  let entries = Array.from(policies.keys).concat(policies.patterns.map((entry) => [entry.pattern, entry.policy]));
+  return entries.map(([keyOrPattern, policy]) => [keyOrPattern, Object.assign({}, policy)]);
+}
+
+/**
+ * Finds the value of the policy field for the key. The policy of the key takes
+ * precedence over the patterns, of which the most recently set one matching wins.
+ * @param  {Object}  target The inner object of the proxy.
+ * @param  {String}  key    The property key.
+ * @param  {String}  field  The policy field.
+ * @return {Boolean}        The value of the field or undefined if no policy sets it.
+ */
+function policyOf(target, key, field) {
+  let policies = target[POLICIES_SYMBOL];
+  let policy = policies.keys.get(key);
+  if(policy && policy[field] !== undefined) {
+    return policy[field];
+  }
+  if(typeof key === "string") {
+    for(let index = policies.patterns.length - 1; index >= 0; index--) {
+      let entry = policies.patterns[index];
+      entry.pattern.lastIndex = 0;
+      if(entry.policy[field] !== undefined && entry.pattern.test(key)) {
+        return entry.policy[field];
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Checks if the policy of the key, or else the option the policy field maps to, allows the access.
+ * @param  {Object}  target The inner object of the proxy.
+ * @param  {String}  key    The property key.
+ * @param  {String}  field  The policy field.
+ * @return {Boolean}        The value of the policy field or of the option.
+ */
+function policyAllows(target, key, field) {
+  let value = policyOf(target, key, field);
+  if(value !== undefined) {
+    return value;
+  }
+  return POLICY_FIELDS[field] ? target[POLICY_FIELDS[field]] : false;
+}
+
+/**
+ * Throws a ReadonlyPropertyError if the policy of the key makes it readonly.
+ * @param  {Object} target The inner object of the proxy.
+ * @param  {String} key    The property key.
+ */
+function assertWritable(target, key) {
+  if(policyAllows(target, key, "readonly")) {
+    throw new ReadonlyPropertyError("Property '" + String(key) + "' is readonly by its policy.",
+                                    { key: key, proxy: target[PROXY_SYMBOL] });
+  }
+}
+
+/**
+ * Throws an error if the policy of the key makes it readonly or disallows its deletion.
+ * @param  {Object} target The inner object of the proxy.
+ * @param  {String} key    The property key.
+ */
+function assertDeletable(target, key) {
+  assertWritable(target, key);
+  // a policy disallowing the deletion protects the inner object as well
+  if(policyOf(target, key, "delete") === false) {
+    throw new DeletionDisallowedError("Deletion of '" + String(key) + "' is disallowed by its policy.",
+                                      { key: key, proxy: target[PROXY_SYMBOL] });
+  }
+}
+
+/**
+ * Returns the write target of the proxy, which defaults to "all"
+ * if OVERRIDE_ALL_SYMBOL is true, else to "last".
+ * @param  {Object} target The inner object of the proxy.
+ * @return {String|Function} The write target.
+ */
+function writeTargetOf(target) {
+  return target[WRITE_TARGET_SYMBOL] || (target[OVERRIDE_ALL_SYMBOL] ? "all" : "last");
+}
+
+/**
+ * Selects the fathers to which a property found in the hierarchy is written.
+ * @param  {Object}          target      The inner object of the proxy.
+ * @param  {String|Function} writeTarget The write target of the proxy.
+ * @param  {Array}           providers   The { father, source } objects having the property, ordered by priority.
+ * @param  {String}          key         The property name.
+ * @param  {Object}          value       The value to be written.
+ * @return {Array}                       The { father, source } objects to write to, empty if the property
+ *                                       is to be shadowed on the inner object.
+ */
+function selectWriteProviders(target, writeTarget, providers, key, value) {
+  if(writeTarget === "own") {
+    // like with real prototypes, only a setter is called instead of shadowing the property
+    let descriptor = findPropertyDescriptor(providers[0].source, key);
+    return descriptor && (descriptor.get || descriptor.set) ? [providers[0]] : [];
+  }
+  if(writeTarget === "all") return providers;
+  if(writeTarget === "first") return [providers[providers.length - 1]];
+  if(writeTarget === "last") return [providers[0]];
+  let proxyObj = target[PROXY_SYMBOL];
+  let father = writeTarget(providers.map((p) => p.father), key, value, proxyObj);
+  if(father === proxyObj || father === undefined || father === null) {
+    return [];
+  }
+  let provider = providers.find((p) => p.father === father || fatherOf(p.father) === father);
+  if(!provider) {
+    throw new FatherNotInHierarchyError("The write target for '" + String(key) + "' is not a father having it.",
+                                        { key: key, proxy: proxyObj, fathers: [father] });
+  }
+  return [provider];
+}
+
+/**
+ * Writes the property to the object. A setter is called with the proxy as this, while
+ * a data property is written on the object itself, as the proxy would define it on the inner object.
+ * @param  {Object}  source   The object holding the property.
+ * @param  {String}  key      The property name.
+ * @param  {Object}  value    The value to be written.
+ * @param  {Proxy}   receiver The proxy.
+ * @return {Boolean}          True if the property was written.
+ */
+function writeProperty(source, key, value, receiver) {
+  let descriptor = findPropertyDescriptor(source, key);
+  return descriptor && descriptor.set ? Reflect.set(source, key, value, receiver) : Reflect.set(source, key, value);
+}
+
+/**
+ * Throws an error if the passed write target is not supported.
+ * @param  {String|Function} writeTarget The write target, null for the default.
+ */
+function validateWriteTarget(writeTarget) {
+  if(writeTarget !== null && writeTarget !== undefined && typeof writeTarget !== "function" &&
+     !~WRITE_TARGETS_LIST.indexOf(writeTarget)) {
+    throw new TypeError("Write target '" + writeTarget + "' is not supported.");
+  }
+}
+
+/**
+ * Throws an error if the passed pending policy is not supported.
+ * @param  {String} policy The policy for lookups hitting a father which is not loaded.
+ */
+function validatePendingPolicy(policy) {
+  if(!~PENDING_POLICIES_LIST.indexOf(policy)) {
+    throw new TypeError("Pending policy '" + policy + "' is not supported.");
+  }
+}
+
+/**
+ * Throws an error if the passed resolution strategy is not supported.
+ * @param  {String|Function} resolution The resolution strategy.
+ */
+function validateResolution(resolution) {
+  if(typeof resolution !== "function" && !~RESOLUTION_STRATEGIES_LIST.indexOf(resolution)) {
+    throw new ResolutionError("Resolution strategy '" + resolution + "' is not supported.");
+  }
+}
+
+/**
+ * Converts a method combination to an object { type, before, after, around }
+ * and throws an error if its combinator is not registered.
+ * @param  {String|Function|Object} combination The method combination.
+ * @param  {String} key                         The property name the combination is for.
+ * @return {Object}                             The normalized method combination.
+ */
+function normalizeCombination(combination, key) {
+  if(typeof combination === "string" || typeof combination === "function") {
+    combination = { type: combination };
+  }
+  let normalized = Object.assign({ type: "all" }, combination);
+  if(typeof normalized.type !== "function" && !COMBINATORS.hasOwnProperty(normalized.type)) {
+    throw new CombinationError("Combinator '" + String(normalized.type) + "' is not registered.", { key: key });
+  }
+  return normalized;
+}
+
+/**
+ * Synthesizes one function which calls the methods of all the fathers that
+ * have the property using the combinator of the method combination.
+ * The before and after functions are called around the combined methods and
+ * the around function receives a function which calls all of them.
+ * @param  {Object} combination The normalized method combination.
+ * @param  {Array}  providers   The { father, source } links having the property ordered by priority,
+ *                              as listed by methodChain.
+ * @param  {String} key         The property name.
+ * @param  {Proxy}  receiver    The object the methods are read for.
+ * @return {Function}           The combined method.
+ */
+function combineMethods(combination, providers, key, receiver) {
+  let methods = providers.map((p) => Reflect.get(p.source, key, receiver));
+  for(let method of methods) {
+    if(typeof method !== "function") {
+      throw new CombinationError("Only methods can be combined but '" + String(key) + "' is not a function in all fathers.",
+                                 { key: key, proxy: receiver, fathers: providers.map((p) => p.father) });
+    }
+  }
+  let combinator = typeof combination.type === "function" ? combination.type : COMBINATORS[combination.type];
+  return function combined(...args) {
+    let callCombined = () => {
+      if(combination.before) combination.before.apply(this, args);
+      let result = combinator(methods, args, this);
+      if(combination.after) combination.after.apply(this, args);
+      return result;
+    };
+    return combination.around ? combination.around.call(this, callCombined, ...args) : callCombined();
+  };
+}
+
+/**
+ * Lists all objects in the hierarchy in the order in which they would be searched,
+ * descending into the nested proxies. Each father is present only once in the chain.
+ * @param  {Object} target     The inner object of the proxy.
+ * @param  {Array}  [chain=[]] The chain to which to add the fathers.
+ * @return {Array}             An array of { father, source } objects ordered by priority,
+ *                             where source is the object holding the father's own properties.
+ */
+function searchChain(target, chain = []) {
+  loadLazyFathers(target);
+  let linearized = target[RESOLUTION_SYMBOL] === "c3";
+  for(let father of resolutionOrder(target)) {
+    if(chain.some((link) => link.father === father)) continue;
+    if(isMultiProxy(father)) {
+      let inner = father[INNER_OBJECT_SYMBOL];
+      chain.push({ father: father, source: inner });
+      // when linearized the nested proxy's fathers are already in the order
+      if(!linearized) searchChain(inner, chain);
+    } else {
+      chain.push({ father: father, source: father });
+    }
+  }
+  return chain;
+}
+
+/**
+ * Finds all objects in the hierarchy that have the property in the order in which
+ * they would be searched, descending into the nested proxies.
+ * @param  {Object} target The inner object of the proxy.
+ * @param  {String} key    The property name.
+ * @return {Array}         An array of { father, source } objects ordered by priority.
+ */
+function methodChain(target, key) {
+  return searchChain(target).filter((link) => Reflect.has(link.source, key));
+}
+
+/**
+ * Returns the own property keys of an object in the hierarchy. For a proxy
+ * these are the keys of its inner object without the internal symbols.
+ * @param  {Object} obj The object.
+ * @return {Array}      The own property keys, including symbols.
+ */
+function ownKeysOf(obj) {
+  if(isMultiProxy(obj)) {
+    return Reflect.ownKeys(obj[INNER_OBJECT_SYMBOL]).filter((key) => !~INTERNAL_SYMBOLS_LIST.indexOf(key));
+  }
+  return Reflect.ownKeys(obj);
+}
+
+/**
+ * Determines the error reading the property from the proxy would throw,
+ * without calling any getters.
+ * @param  {Object} target The inner object of the proxy.
+ * @param  {String} key    The property name.
+ * @return {String}        The code of the error or null if no error would be thrown.
+ */
+function lookupErrorCode(target, key) {
+  if(Reflect.has(target, key)) {
+    return null;
+  }
+  let chain = target[COMBINATION_SYMBOL][key] ? methodChain(target, key) : [];
+  if(chain.length) {
+    let descriptors = chain.map((link) => findPropertyDescriptor(link.source, key));
+    let allMethods = descriptors.every((d) => !d || d.get || typeof d.value === "function");
+    return allMethods ? null : "ERR_COMBINATION";
+  }
+  let providers = findProviders(target, key);
+  if(providers.length > 1 && !policyAllows(target, key, "duplicate")) {
+    return "ERR_DUPLICATE_PROPERTY";
+  }
+  if(!providers.length) {
+    return policyAllows(target, key, "errorIfMissing") ? "ERR_MISSING_PROPERTY" : null;
+  }
+  // a nested proxy resolves the property by its own rules
+  let source = providers[0].source;
+  return isMultiProxy(source) ? lookupErrorCode(source[INNER_OBJECT_SYMBOL], key) : null;
+}
+
+/**
+ * Finds the descriptor of the property on the object or on its native prototype chain.
+ * For a nested proxy the descriptor is taken from the father the property is resolved to.
+ * @param  {Object} obj The object.
+ * @param  {String} key The property name.
+ * @return {Object}     The property descriptor or undefined if the property is not found.
+ */
+function findPropertyDescriptor(obj, key) {
+  if(isMultiProxy(obj)) {
+    let target = obj[INNER_OBJECT_SYMBOL];
+    if(!Reflect.has(target, key)) {
+      let providers = findProviders(target, key, false);
+      return providers.length ? findPropertyDescriptor(providers[0].source, key) : undefined;
+    }
+    obj = target;
+  }
+  for(let current = obj; current !== null; current = Object.getPrototypeOf(current)) {
+    let descriptor = Reflect.getOwnPropertyDescriptor(current, key);
+    if(descriptor) return descriptor;
+  }
+  return undefined;
+}
+
+/**
+ * Symbol.hasInstance method for the mixed classes and their base classes.
+ * A proxy is an instance of the class if its prototype is in the proxy's hierarchy.
+ * @param  {Object}  instance The object to be checked.
+ * @return {Boolean}          True if the object is an instance of the class.
+ */
+function mixedHasInstance(instance) {
+  if(isMultiProxy(instance) && isPrototypeInHierarchy(instance[INNER_OBJECT_SYMBOL], this.prototype)) {
+    return true;
+  }
+  return Function.prototype[Symbol.hasInstance].call(this, instance);
+}
+
+/**
+ * Installs mixedHasInstance on a base class, unless it or one of its
+ * super classes already has it. A custom Symbol.hasInstance of the class is still called.
+ * @param  {Function} base The base class.
+ */
+function installHasInstance(base) {
+  let original = base[Symbol.hasInstance];
+  if(original === mixedHasInstance || MIXED_HAS_INSTANCE_SET.has(original)) return;
+  let hasInstance = function(instance) {
+    return mixedHasInstance.call(this, instance) || original.call(this, instance);
+  };
+  MIXED_HAS_INSTANCE_SET.add(hasInstance);
+  Object.defineProperty(base, Symbol.hasInstance, { value: hasInstance, configurable: true });
+}
+
+/**
+ * Checks if the prototype is one of the fathers in the hierarchy, including the fathers of
+ * nested proxies, or is in the native prototype chain of one of them.
+ * @param  {Object}  target    The inner object of the proxy.
+ * @param  {Object}  prototype The prototype to search for.
+ * @param  {Set}     [visited] The already checked proxies.
+ * @return {Boolean}           True if the prototype is in the hierarchy.
+ */
+function isPrototypeInHierarchy(target, prototype, visited = new Set()) {
+  visited.add(target);
+  for(let father of target[PROTOTYPE_SYMBOL]) {
+    if(father === prototype || Object.prototype.isPrototypeOf.call(prototype, father)) {
+      return true;
+    }
+    if(isMultiProxy(father) && !visited.has(father[INNER_OBJECT_SYMBOL]) &&
+       isPrototypeInHierarchy(father[INNER_OBJECT_SYMBOL], prototype, visited)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Finds a path of fathers from the object to the ancestor.
+ * @param  {Object} obj      The object from which to start.
+ * @param  {Object} ancestor The ancestor to search for.
+ * @return {Array}           The objects on the path, starting with obj and ending
+ *                           with the ancestor, or null if there is no such path.
+ */
+function pathToAncestor(obj, ancestor, visited = new Set()) {
+  obj = fatherOf(obj);
+  if(obj === ancestor) {
+    return [obj];
+  }
+  if(!isMultiProxy(obj) || visited.has(obj)) {
+    return null;
+  }
+  visited.add(obj);
+  for(let father of obj[PROTOTYPE_SYMBOL]) {
+    let path = pathToAncestor(father, ancestor, visited);
+    if(path) {
+      return [obj].concat(path);
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds a cycle in the hierarchy of the object.
+ * @param  {Object} obj      The object whose hierarchy to check.
+ * @param  {Array}  [stack]  The objects on the current path.
+ * @param  {Set}    [done]   The objects whose hierarchy has no cycles.
+ * @return {Array}           The objects forming the cycle, the first and the last one
+ *                           being the same, or null if there is no cycle.
+ */
+function findCycle(obj, stack = [], done = new Set()) {
+  obj = fatherOf(obj);
+  let index = stack.indexOf(obj);
+  if(~index) {
+    return stack.slice(index).concat([obj]);
+  }
+  if(!isMultiProxy(obj) || done.has(obj)) {
+    return null;
+  }
+  stack.push(obj);
+  for(let father of obj[PROTOTYPE_SYMBOL]) {
+    let cycle = findCycle(father, stack, done);
+    if(cycle) {
+      return cycle;
+    }
+  }
+  stack.pop();
+  done.add(obj);
+  return null;
+}
+
+/**
+ * Returns a short description of an object to be used in messages.
+ * @param  {Object} obj The object.
+ * @return {String}     The description.
+ */
+function describeObject(obj) {
+  if(LAZY_FATHERS_MAP.has(obj)) {
+    return LAZY_FATHERS_MAP.get(obj).state + " father";
+  }
+  obj = fatherOf(obj);
+  if(isMultiProxy(obj)) {
+    return "Proxy#" + obj[ID_SYMBOL];
+  }
+  if(typeof obj === "function") {
+    return obj.name || "anonymous function";
+  }
+  let proto = Object.getPrototypeOf(obj);
+  return proto && proto.constructor && proto.constructor.name || "Object";
+}
+
+/**
+ * Checks if the passed object is a father descriptor { father, exclude, include, alias }.
+ * @param  {Object}  obj The object.
+ * @return {Boolean}     True if the object is a father descriptor.
+ */
+function isFatherDescriptor(obj) {
+  if(obj === null || typeof obj !== "object" || isMultiProxy(obj) || TRAIT_FILTERS_MAP.has(obj)) {
+    return false;
+  }
+  let keys = Reflect.ownKeys(obj);
+  return !!~keys.indexOf("father") && keys.every((key) => ~FATHER_DESCRIPTOR_KEYS_LIST.indexOf(key)) &&
+         obj.father !== null && (typeof obj.father === "object" || typeof obj.father === "function");
+}
+
+/**
+ * Converts a father descriptor to the view and a thunk or a Promise to the placeholder
+ * used as the father in the hierarchy. Other fathers are returned as they are.
+ * @param  {Object} father The father object or descriptor.
+ * @return {Object}        The father to be put in the fathers array.
+ */
+function toFather(father) {
+  if(isFatherDescriptor(father)) {
+    return createTraitView(father);
+  }
+  return isLazySource(father) ? createLazyFather(father) : father;
+}
+
+/**
+ * Returns the object a father in the fathers array stands for, which for a view
+ * is the object passed in the descriptor and for a placeholder the thunk or Promise.
+ * @param  {Object} father The father object, view or descriptor.
+ * @return {Object}        The father object.
+ */
+function fatherOf(father) {
+  if(TRAIT_FILTERS_MAP.has(father)) {
+    return TRAIT_FILTERS_MAP.get(father).father;
+  }
+  if(LAZY_FATHERS_MAP.has(father)) {
+    return LAZY_FATHERS_MAP.get(father).source;
+  }
+  return isFatherDescriptor(father) ? father.father : father;
+}
+
+/**
+ * Finds the index of the father in the fathers array, comparing the objects
+ * the views and descriptors stand for.
+ * @param  {Array}   fathersArray The fathers array.
+ * @param  {Object}  father       The father object, view or descriptor.
+ * @return {Integer}              The index or -1 if the father is not in the array.
+ */
+function fatherIndex(fathersArray, father) {
+  let index = fathersArray.indexOf(father);
+  return ~index ? index : fathersArray.findIndex((f) => fatherOf(f) === fatherOf(father));
+}
+
+/**
+ * Returns the descriptor { father, exclude, include, alias, state } of a father in the fathers array.
+ * @param  {Object} father The father object or view.
+ * @return {Object}        A new descriptor, include being null if not set.
+ */
+function fatherDescriptor(father) {
+  let filters = TRAIT_FILTERS_MAP.get(father) || { father: fatherOf(father), exclude: [], include: null, alias: {} };
+  let lazy = LAZY_FATHERS_MAP.get(father);
+  return { father: filters.father, exclude: filters.exclude.slice(),
+           include: filters.include && filters.include.slice(), alias: Object.assign({}, filters.alias),
+           state: lazy ? lazy.state : "loaded" };
+}
+
+/**
+ * Creates a view of the father which exposes only the keys allowed by the descriptor,
+ * plus the aliases which resolve to the original members. The view is opaque, so a
+ * nested proxy behind it is searched as a whole and not linearized.
+ * @param  {Object} father          The father object.
+ * @param  {Array}  [exclude=[]]    The keys invisible for the father.
+ * @param  {Array}  [include]       If set, the only keys visible for the father.
+ * @param  {Object} [alias={}]      An object which maps original keys to their additional names.
+ * @return {Proxy}                  The view of the father.
+ */
+function createTraitView({ father, exclude = [], include, alias = {} }) {
+  if(!Array.isArray(exclude) || (include !== undefined && !Array.isArray(include)) ||
+     alias === null || typeof alias !== "object") {
+    throw new TypeError("A father descriptor takes arrays of keys for exclude and include and an object for alias.");
+  }
+  // the additional names mapped to the original keys
+  let aliases = new Map(Reflect.ownKeys(alias).map((key) => [alias[key], key]));
+  let originalKey = (key) => aliases.has(key) ? aliases.get(key) : key;
+  let isVisible = (key) => aliases.has(key) ||
+                           (!~INTERNAL_SYMBOLS_LIST.indexOf(key) && !~exclude.indexOf(key) && (!include || !!~include.indexOf(key)));
+  let view = new Proxy({}, {
+    get: (target, key, receiver) => isVisible(key) ? Reflect.get(father, originalKey(key), receiver) : undefined,
+    set: (target, key, val, receiver) => isVisible(key) &&
+                                         Reflect.set(father, originalKey(key), val, receiver === view ? father : receiver),
+    has: (target, key) => isVisible(key) && Reflect.has(father, originalKey(key)),
+    deleteProperty: (target, key) => !isVisible(key) || Reflect.deleteProperty(father, originalKey(key)),
+    defineProperty: (target, key, descriptor) => isVisible(key) && Reflect.defineProperty(father, originalKey(key), descriptor),
+    ownKeys: () => {
+      let keys = Reflect.ownKeys(father).filter((key) => isVisible(key) && !aliases.has(key));
+      for(let [name, key] of aliases) {
+        if(Reflect.getOwnPropertyDescriptor(father, key) && !~keys.indexOf(name)) keys.push(name);
+      }
+      return keys;
+    },
+    getOwnPropertyDescriptor: (target, key) => {
+      let descriptor = isVisible(key) ? Reflect.getOwnPropertyDescriptor(father, originalKey(key)) : undefined;
+      // the properties are not on the view's target, so they must be reported as configurable
+      return descriptor && Object.assign({}, descriptor, { configurable: true });
+    }
+  });
+  TRAIT_FILTERS_MAP.set(view, { father: father, exclude: exclude.slice(),
+                                include: include ? include.slice() : null, alias: Object.assign({}, alias) });
+  return view;
+}
+
+/**
+ * Checks if the passed father is a thunk marked with lazy or a Promise.
+ * @param  {Object}  father The father.
+ * @return {Boolean}        True if the father is loaded lazily.
+ */
+function isLazySource(father) {
+  return father instanceof Promise || LAZY_THUNKS_SET.has(father);
+}
+
+/**
+ * Returns the load state of the placeholders in the hierarchy of the proxy.
+ * @param  {Proxy} proxyObj The proxy object.
+ * @return {Array}          The records { source, state, owners, promise, error }.
+ */
+function lazyRecords(proxyObj) {
+  return MultiFactory.getAncestors(proxyObj).map((a) => LAZY_FATHERS_MAP.get(a.father)).filter(Boolean);
+}
+
+/**
+ * Creates the placeholder standing for a thunk or a Promise in the fathers array
+ * until the father is loaded. The placeholder has no properties.
+ * @param  {Function|Promise} source The thunk or the Promise.
+ * @return {Object}                  The placeholder.
+ */
+function createLazyFather(source) {
+  let placeholder = Object.freeze(Object.create(null));
+  LAZY_FATHERS_MAP.set(placeholder, { source: source, state: "lazy", owners: new Set(), promise: null, error: undefined });
+  if(source instanceof Promise) {
+    watchLazyFather(placeholder, source);
+  }
+  return placeholder;
+}
+
+/**
+ * Registers the inner object as an owner of the placeholders in its fathers array,
+ * so they can be replaced there when their father is loaded.
+ * @param  {Object} target The inner object of the proxy.
+ */
+function adoptLazyFathers(target) {
+  for(let father of target[PROTOTYPE_SYMBOL]) {
+    if(LAZY_FATHERS_MAP.has(father)) LAZY_FATHERS_MAP.get(father).owners.add(target);
+  }
+}
+
+/**
+ * Waits for the Promise of the placeholder and replaces the placeholder when it resolves.
+ * @param  {Object}  placeholder The placeholder.
+ * @param  {Promise} promise     The Promise resolving to the father.
+ */
+function watchLazyFather(placeholder, promise) {
+  let record = LAZY_FATHERS_MAP.get(placeholder);
+  record.state = "pending";
+  record.promise = promise.then((father) => {
+    replaceLazyFather(placeholder, father);
+  }, (error) => {
+    record.state = "failed";
+    record.error = error;
+  });
+}
+
+/**
+ * Calls the thunk of the placeholder if it is not called yet. If the thunk
+ * returns a Promise the placeholder stays pending until it resolves.
+ * @param  {Object}  placeholder The placeholder.
+ * @return {Boolean}             True if the father was loaded and replaced the placeholder.
+ */
+function loadLazyFather(placeholder) {
+  let record = LAZY_FATHERS_MAP.get(placeholder);
+  if(record.state !== "lazy") {
+    return false;
+  }
+  let father;
+  try {
+    father = record.source();
+  } catch(e) {
+    record.state = "failed";
+    record.error = e;
+    throw e;
+  }
+  if(father instanceof Promise) {
+    watchLazyFather(placeholder, father);
+    return false;
+  }
+  replaceLazyFather(placeholder, father);
+  return record.state === "loaded";
+}
+
+/**
+ * Loads the fathers of the inner object which are passed as thunks.
+ * @param  {Object} target The inner object of the proxy.
+ */
+function loadLazyFathers(target) {
+  for(let father of target[PROTOTYPE_SYMBOL].slice()) {
+    if(LAZY_FATHERS_MAP.has(father)) loadLazyFather(father);
+  }
+}
+
+/**
+ * Replaces the placeholder with the loaded father in the fathers arrays of its owners.
+ * The placeholder fails instead if the father is not an object or would create a cycle in the hierarchy.
+ * @param  {Object} placeholder The placeholder.
+ * @param  {Object} loaded      The loaded father object or descriptor.
+ */
+function replaceLazyFather(placeholder, loaded) {
+  let record = LAZY_FATHERS_MAP.get(placeholder);
+  if(Object(loaded) !== loaded) {
+    record.state = "failed";
+    record.error = new FatherNotLoadedError("The lazy father loaded " + String(loaded) + ", which is not an object.",
+                                            { fathers: [record.source] });
+    return;
+  }
+  let father = toFather(loaded);
+  for(let target of record.owners) {
+    let cyclePath = pathToAncestor(father, target[PROXY_SYMBOL]);
+    if(cyclePath) {
+      record.state = "failed";
+      record.error = new CyclicHierarchyError("The loaded father would create a cycle in the hierarchy: " +
+                                              [target[PROXY_SYMBOL]].concat(cyclePath).map(describeObject).join(" -> "),
+                                              { proxy: target[PROXY_SYMBOL], fathers: [target[PROXY_SYMBOL]].concat(cyclePath) });
+      return;
+    }
+  }
+  for(let target of record.owners) {
+    let fathersArray = target[PROTOTYPE_SYMBOL];
+    let index = fathersArray.indexOf(placeholder);
+    if(!~index) continue;
+    if(Object.isFrozen(fathersArray)) {
+      fathersArray = fathersArray.slice();
+      fathersArray[index] = father;
+      target[PROTOTYPE_SYMBOL] = Object.freeze(fathersArray);
+    } else {
+      fathersArray[index] = father;
+    }
+    adoptLazyFathers(target);
+    registerFathers(target);
+  }
+  record.state = "loaded";
+  for(let target of record.owners) {
+    invalidateCaches(target);
+  }
+}
+
+/**
+ * Registers the proxy as a child of each of its fathers.
+ * @param  {Object} target The inner object of the proxy.
+ */
+function registerFathers(target) {
+  let proxyObj = target[PROXY_SYMBOL];
+  let record = PROXY_REFS_MAP.get(proxyObj);
+  if(!record) {
+    record = { ref: new WeakRef(proxyObj), sets: new Set() };
+    PROXY_REFS_MAP.set(proxyObj, record);
+    CHILDREN_REGISTRY.register(proxyObj, record);
+  }
+  for(let father of target[PROTOTYPE_SYMBOL]) {
+    father = fatherOf(father);
+    if(Object(father) !== father) continue;
+    if(!CHILDREN_MAP.has(father)) CHILDREN_MAP.set(father, new Set());
+    let refs = CHILDREN_MAP.get(father);
+    refs.add(record.ref);
+    record.sets.add(refs);
+  }
+}
+
+/**
+ * Removes the proxy from the children of the father, unless the father is still in its fathers list.
+ * @param  {Object} target The inner object of the proxy.
+ * @param  {Object} father The father object or view.
+ */
+function unregisterFather(target, father) {
+  father = fatherOf(father);
+  let refs = CHILDREN_MAP.get(father);
+  let record = PROXY_REFS_MAP.get(target[PROXY_SYMBOL]);
+  if(!refs || !record || target[PROTOTYPE_SYMBOL].some((f) => fatherOf(f) === father)) return;
+  refs.delete(record.ref);
+  record.sets.delete(refs);
+}
+
+/**
+ * Returns the live proxies which have the object as a father, directly or thru a view,
+ * dropping the references to the collected and disposed proxies.
+ * @param  {Object} father The father object.
+ * @return {Array}         The proxies.
+ */
+function childrenOf(father) {
+  let refs = CHILDREN_MAP.get(father);
+  let children = [];
+  if(!refs) return children;
+  for(let ref of refs) {
+    let child = ref.deref();
+    if(child === undefined || DISPOSED_PROXIES_SET.has(child)) {
+      refs.delete(ref);
+    } else if(PROXY_TARGETS_MAP.get(child)[PROTOTYPE_SYMBOL].some((f) => fatherOf(f) === father)) {
+      children.push(child);
+    }
+  }
+  return children;
+}
+
+/**
+ * Creates the handler of all the traps of a disposed proxy, which throws a ProxyDisposedError.
+ * @param  {Integer} id The id of the proxy.
+ * @return {Function}   The handler.
+ */
+function disposedTrap(id) {
+  return function disposedHandler(target, key) {
+    throw new ProxyDisposedError("Proxy#" + id + " was disposed and can not be used.",
+                                 { key: typeof key === "string" || typeof key === "symbol" ? key : undefined });
+  };
+}
+
+/**
+ * Throws a CyclicHierarchyError naming the objects of the cycle.
+ * @param  {Array} path     The objects forming the cycle.
+ * @param  {Proxy} proxyObj The proxy whose hierarchy was to be changed.
+ */
+function throwCyclicHierarchyError(path, proxyObj) {
+  throw new CyclicHierarchyError("The change would create a cycle in the hierarchy: " +
+                                 path.map(describeObject).join(" -> "),
+                                 { proxy: proxyObj, fathers: path });
+}
+
+/**
+ * Calls the listeners of the event on the proxy. The listeners are called with the
+ * proxy as this and an event object { type, proxy, key, value, father, ... }.
+ * Events for the internal symbol properties are not emitted.
+ * @param  {Object} target  The inner object of the proxy.
+ * @param  {String} event   The event name.
+ * @param  {Object} payload The properties of the event object.
+ */
+function emit(target, event, payload) {
+  if(!hasListeners(target, event) || ~INTERNAL_SYMBOLS_LIST.indexOf(payload.key)) {
+    return;
+  }
+  let proxy = target[PROXY_SYMBOL];
+  let eventObj = Object.assign({ type: event, proxy: proxy }, payload);
+  for(let listener of target[LISTENERS_SYMBOL][event].slice()) {
+    listener.call(proxy, eventObj);
+  }
+}
+
+/**
+ * Checks if the proxy has listeners for the event.
+ * @param  {Object}  target The inner object of the proxy.
+ * @param  {String}  event  The event name.
+ * @return {Boolean}        True if there is at least one listener.
+ */
+function hasListeners(target, event) {
+  let listeners = target[LISTENERS_SYMBOL][event];
+  return !!listeners && listeners.length > 0;
+}
+
+/**
+ * Sets an option kept in a symbol property of the inner object
+ * and notifies the optionChanged listeners.
+ * @param  {Proxy}  proxyObj The proxy object.
+ * @param  {String} name     The option name, a key of OPTION_SYMBOLS.
+ * @param  {*}      value    The new value of the option.
+ */
+function setOption(proxyObj, name, value) {
+  assertNotLocked(proxyObj[INNER_OBJECT_SYMBOL], "sealed", "change the options", name);
+  let previous = proxyObj[OPTION_SYMBOLS[name]];
+  proxyObj[INNER_OBJECT_SYMBOL][OPTION_SYMBOLS[name]] = value;
+  invalidateCaches(proxyObj);
+  emit(proxyObj[INNER_OBJECT_SYMBOL], "optionChanged", { key: name, value: value, previous: previous });
+}
+
+/**
+ * Throws an error if the proxy is locked at the passed level or a stricter one.
+ * @param  {Object} target The inner object of the proxy.
+ * @param  {String} level  The lock level which forbids the action, "sealed" or "frozen".
+ * @param  {String} action The description of the action for the message.
+ * @param  {String} [key]  The property key involved.
+ */
+function assertNotLocked(target, level, action, key) {
+  let lock = target[LOCK_SYMBOL];
+  if(lock && LOCK_LEVELS_LIST.indexOf(lock) >= LOCK_LEVELS_LIST.indexOf(level)) {
+    throw new HierarchyLockedError("Can not " + action + " because the proxy is " + lock + ".",
+                                   { key: key, proxy: target[PROXY_SYMBOL] });
+  }
+}
+
+/**
+ * Locks the proxy, and with deep its ancestors, at the passed level. A lock is never
+ * loosened. Ancestors which are not proxies are frozen or sealed with Object.freeze or Object.seal.
+ * @param  {Proxy}   proxyObj The proxy object.
+ * @param  {String}  level    The lock level, "sealed" or "frozen".
+ * @param  {Boolean} deep     Boolean to determine if the ancestors are locked as well.
+ * @return {Proxy}            The proxy object.
+ */
+function lockProxy(proxyObj, level, deep) {
+  let objects = [proxyObj];
+  if(deep) {
+    objects = objects.concat(MultiFactory.getAncestors(proxyObj).map((a) => a.father));
+  }
+  for(let obj of objects.filter((obj) => !LAZY_FATHERS_MAP.has(obj)).map(fatherOf)) {
+    if(!isMultiProxy(obj)) {
+      level === "frozen" ? Object.freeze(obj) : Object.seal(obj);
+      continue;
+    }
+    let target = obj[INNER_OBJECT_SYMBOL];
+    if(LOCK_LEVELS_LIST.indexOf(target[LOCK_SYMBOL]) < LOCK_LEVELS_LIST.indexOf(level)) {
+      target[LOCK_SYMBOL] = level;
+    }
+    // guard against direct changes of the fathers array as well,
+    // the internal changes replace the fathers array of a locked proxy by a frozen copy
+    Object.freeze(target[PROTOTYPE_SYMBOL]);
+  }
+  return proxyObj;
+}
+
+/**
+ * Normalizes a contract to an object which maps each required key
+ * to a type, a predicate or true for any value.
+ * @param  {Array|Object} contract The contract, an array of keys or an object.
+ * @return {Object}                The normalized contract.
+ */
+function normalizeContract(contract) {
+  let normalized = {};
+  if(Array.isArray(contract)) {
+    for(let key of contract) {
+      normalized[key] = true;
+    }
+    return normalized;
+  }
+  for(let key of Reflect.ownKeys(contract)) {
+    let expected = contract[key];
+    if(expected !== true && typeof expected !== "string" && typeof expected !== "function") {
+      throw new TypeError("The required member '" + String(key) + "' must map to a type, a predicate or true.");
+    }
+    normalized[key] = expected;
+  }
+  return normalized;
+}
+
+/**
+ * Lists the members of the contract which the hierarchy of the proxy does not implement.
+ * The values are read from the inner object or the father resolving them without emitting events.
+ * @param  {Object} target   The inner object of the proxy.
+ * @param  {Object} contract The normalized contract.
+ * @return {Array}           The violations { key, expected, reason }.
+ */
+function contractViolations(target, contract) {
+  let violations = [];
+  let proxyObj = target[PROXY_SYMBOL];
+  for(let key of Reflect.ownKeys(contract)) {
+    let expected = contract[key];
+    let source = Reflect.has(target, key) ? target : (findProviders(target, key, false)[0] || {}).source;
+    if(!source) {
+      violations.push({ key: key, expected: expected, reason: "missing" });
+      continue;
+    }
+    let value = Reflect.get(source, key, proxyObj);
+    let matches = expected === true ||
+                  (typeof expected === "string" ? typeof value === expected : !!expected(value, key, proxyObj));
+    if(!matches) {
+      violations.push({ key: key, expected: expected, reason: "mismatch" });
+    }
+  }
+  return violations;
+}
+
+/**
+ * Throws a ContractError if the proxy does not implement its required members.
+ * Nothing is checked while a transaction is running on the proxy.
+ * @param  {Object}   target   The inner object of the proxy.
+ * @param  {Function} [revert] Called before throwing to undo the change which broke the contract.
+ */
+function assertContract(target, revert) {
+  // the contract is validated when the outermost transaction commits
+  if(target[TRANSACTION_SYMBOL]) return;
+  let violations = contractViolations(target, target[REQUIRES_SYMBOL]);
+  if(violations.length) {
+    if(revert) revert();
+    throwContractError(target[PROXY_SYMBOL], violations);
+  }
+}
+
+/**
+ * Throws a ContractError describing the violations of the contract.
+ * @param  {Proxy} proxyObj   The proxy object.
+ * @param  {Array} violations The violations { key, expected, reason }.
+ */
+function throwContractError(proxyObj, violations) {
+  let members = violations.map((violation) => {
+    let expected = typeof violation.expected === "function" ? "predicate" : violation.expected === true ? "any" : violation.expected;
+    return String(violation.key) + " (" + (violation.reason === "missing" ? "missing" : "expected " + expected) + ")";
+  });
+  throw new ContractError(describeObject(proxyObj) + " does not implement the required members: " + members.join(", ") + ".",
+                          { proxy: proxyObj, fathers: proxyObj[PROTOTYPE_SYMBOL].slice(), members: violations });
+}
+
+/**
+ * Records the own property with the passed key of each object, so it can be restored after deletion.
+ * @param  {Array}  objects The objects.
+ * @param  {String} key     The property key.
+ * @return {Function}       A function restoring the recorded properties which were deleted.
+ */
+function snapshotProperty(objects, key) {
+  let descriptors = objects.map((obj) => Reflect.getOwnPropertyDescriptor(obj, key));
+  return () => {
+    objects.forEach((obj, index) => {
+      if(descriptors[index] && !Reflect.getOwnPropertyDescriptor(obj, key)) {
+        Reflect.defineProperty(obj, key, descriptors[index]);
+      }
+      invalidateCaches(obj);
+    });
+  };
+}
+
+/**
+ * Creates the handler running the middleware of a trap before the handler it wraps.
+ * The middleware are read from the target, so the handler can be shared by the proxies.
+ * @param  {String} trapName The name of the trap.
+ * @return {Function}        The handler.
+ */
+function dispatchMiddleware(trapName) {
+  let keyed = !!~KEY_TRAPS_LIST.indexOf(trapName);
+  return function middlewareHandler(target, ...rest) {
+    let store = target[MIDDLEWARE_SYMBOL];
+    let handler = store.handlers[trapName] || Reflect[trapName];
+    if(keyed && ~INTERNAL_SYMBOLS_LIST.indexOf(rest[0])) {
+      return handler.call(this, target, ...rest);
+    }
+    let middlewareList = store.traps[trapName].slice();
+    let ctx = { trap: trapName, proxy: target[PROXY_SYMBOL], target: target, args: [target].concat(rest) };
+    if(keyed) ctx.key = rest[0];
+    let next = (index) => {
+      if(index < middlewareList.length) {
+        return middlewareList[index](ctx, () => next(index + 1));
+      }
+      return handler.apply(this, ctx.args);
+    };
+    return next(0);
+  };
+}
+
+/**
+ * Sets or removes a handler of the proxy, behind the middleware of the trap if there is any.
+ * @param  {Object}   target    The inner object of the proxy.
+ * @param  {String}   trapName  The name of the trap.
+ * @param  {Function} [handler] The handler, undefined to remove it.
+ */
+function setHandler(target, trapName, handler) {
+  let store = target[MIDDLEWARE_SYMBOL];
+  let handlers = store.traps[trapName] ? store.handlers : target[HANDLERS_SYMBOL];
+  if(handler === undefined) {
+    delete handlers[trapName];
+  } else {
+    handlers[trapName] = handler;
+  }
+  invalidateCaches(target);
+}
+
+/**
+ * Copies the middleware of a proxy.
+ * @param  {Object} store The middleware of the proxy { traps, handlers }.
+ * @return {Object}       The copy.
+ */
+function copyMiddleware(store) {
+  let traps = {};
+  for(let name of Object.keys(store.traps)) {
+    traps[name] = store.traps[name].slice();
+  }
+  return { traps: traps, handlers: Object.assign({}, store.handlers) };
+}
+
+/**
+ * Copies the proxy for clone.
+ * @param  {Proxy}   proxyObj The proxy object.
+ * @param  {Boolean} deep     Boolean to determine if the fathers which are proxies are cloned.
+ * @param  {Map}     clones   The proxies already cloned, mapped to their clones.
+ * @return {Proxy}            The clone.
+ */
+function cloneProxy(proxyObj, deep, clones) {
+  if(clones.has(proxyObj)) {
+    return clones.get(proxyObj);
+  }
+  let target = proxyObj[INNER_OBJECT_SYMBOL];
+  let cloneFather = (father) => {
+    if(isMultiProxy(father)) {
+      return cloneProxy(father, deep, clones);
+    }
+    if(TRAIT_FILTERS_MAP.has(father) && isMultiProxy(fatherOf(father))) {
+      let descriptor = fatherDescriptor(father);
+      return { father: cloneProxy(descriptor.father, deep, clones), exclude: descriptor.exclude,
+               include: descriptor.include || undefined, alias: descriptor.alias };
+    }
+    return father;
+  };
+  let fathersArray = deep ? target[PROTOTYPE_SYMBOL].map(cloneFather) : target[PROTOTYPE_SYMBOL].slice();
+  // the contract is validated once the inner object's properties are copied
+  let options = Object.assign(readOptions(target), { requires: {} });
+  let copy = initializeMultiProxy({}, fathersArray, options);
+  clones.set(proxyObj, copy);
+  let copyTarget = copy[INNER_OBJECT_SYMBOL];
+  for(let key of ownKeysOf(proxyObj)) {
+    Object.defineProperty(copyTarget, key, Reflect.getOwnPropertyDescriptor(target, key));
+  }
+  let handlers = copyTarget[HANDLERS_SYMBOL];
+  // the handlers running the middleware read it from the target, so they are copied as well
+  copyTarget[MIDDLEWARE_SYMBOL] = copyMiddleware(target[MIDDLEWARE_SYMBOL]);
+  for(let name of ALLOWED_HANDLERS_LIST.concat(Object.keys(target[MIDDLEWARE_SYMBOL].traps))) {
+    if(name in target[HANDLERS_SYMBOL]) {
+      handlers[name] = target[HANDLERS_SYMBOL][name];
+    } else {
+      delete handlers[name];
+    }
+  }
+  copyTarget[REQUIRES_SYMBOL] = Object.assign({}, target[REQUIRES_SYMBOL]);
+  assertContract(copyTarget);
+  return copy;
+}
+
+/**
+ * Records the state of the proxy which a transaction rolls back.
+ * @param  {Object} target The inner object of the proxy.
+ * @return {Object}        The snapshot { fathers, properties, options, handlers, middleware, lock }.
+ */
+function snapshotProxy(target) {
+  let properties = new Map();
+  for(let key of ownKeysOf(target[PROXY_SYMBOL])) {
+    properties.set(key, Reflect.getOwnPropertyDescriptor(target, key));
+  }
+  return {
+    fathers: target[PROTOTYPE_SYMBOL].slice(),
+    properties: properties,
+    options: readOptions(target),
+    handlers: Object.assign({}, target[HANDLERS_SYMBOL]),
+    middleware: copyMiddleware(target[MIDDLEWARE_SYMBOL]),
+    lock: target[LOCK_SYMBOL]
+  };
+}
+
+/**
+ * Restores the state of the proxy recorded by snapshotProxy.
+ * @param  {Object} target   The inner object of the proxy.
+ * @param  {Object} snapshot The snapshot.
+ */
+function restoreProxy(target, snapshot) {
+  let fathersArray = target[PROTOTYPE_SYMBOL];
+  if(Object.isFrozen(fathersArray)) {
+    // the proxy was locked during the transaction
+    target[PROTOTYPE_SYMBOL] = snapshot.fathers.slice();
+  } else {
+    fathersArray.splice(0, fathersArray.length, ...snapshot.fathers);
+  }
+  adoptLazyFathers(target);
+  registerFathers(target);
+  for(let key of ownKeysOf(target[PROXY_SYMBOL])) {
+    if(!snapshot.properties.has(key)) Reflect.deleteProperty(target, key);
+  }
+  for(let [key, descriptor] of snapshot.properties) {
+    Reflect.defineProperty(target, key, descriptor);
+  }
+  let options = snapshot.options;
+  for(let name of Object.keys(OPTION_SYMBOLS)) {
+    target[OPTION_SYMBOLS[name]] = options[name];
+  }
+  target[COMBINATION_SYMBOL] = Object.assign({}, options.combination);
+  if(options.cache !== (target[CACHE_SYMBOL] !== null)) {
+    target[CACHE_SYMBOL] = options.cache ? createCache() : null;
+  }
+  target[REQUIRES_SYMBOL] = Object.assign({}, options.requires);
+  target[POLICIES_SYMBOL] = { keys: new Map(), patterns: [] };
+  for(let [keyOrPattern, policy] of options.policies) {
+    storePolicy(target[POLICIES_SYMBOL], keyOrPattern, policy);
+  }
+  // the handlers object is used by the proxy, so it is changed in place
+  let handlers = target[HANDLERS_SYMBOL];
+  for(let name of Object.keys(handlers)) {
+    if(!(name in snapshot.handlers)) delete handlers[name];
+  }
+  Object.assign(handlers, snapshot.handlers);
+  target[MIDDLEWARE_SYMBOL] = copyMiddleware(snapshot.middleware);
+  target[LOCK_SYMBOL] = snapshot.lock;
+  invalidateCaches(target);
+}
+
+/**
+ * Summarizes the changes of the proxy since the snapshot was taken.
+ * @param  {Object} target   The inner object of the proxy.
+ * @param  {Object} snapshot The snapshot.
+ * @return {Object}          The changes { fathers: { added, removed, order }, properties: { added, changed, removed },
+ *                           options: { name: { previous, value } } }.
+ */
+function diffSnapshot(target, snapshot) {
+  let current = snapshotProxy(target);
+  let changes = {
+    fathers: {
+      added: current.fathers.filter((father) => !~snapshot.fathers.indexOf(father)),
+      removed: snapshot.fathers.filter((father) => !~current.fathers.indexOf(father)),
+      order: current.fathers
+    },
+    properties: { added: [], changed: [], removed: [] },
+    options: {}
+  };
+  for(let [key, descriptor] of current.properties) {
+    if(!snapshot.properties.has(key)) {
+      changes.properties.added.push(key);
+    } else if(!isSameValue(descriptor, snapshot.properties.get(key))) {
+      changes.properties.changed.push(key);
+    }
+  }
+  for(let key of snapshot.properties.keys()) {
+    if(!current.properties.has(key)) changes.properties.removed.push(key);
+  }
+  for(let name of Object.keys(current.options)) {
+    if(!isSameValue(current.options[name], snapshot.options[name])) {
+      changes.options[name] = { previous: snapshot.options[name], value: current.options[name] };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Compares two values, the arrays and plain objects by their contents
+ * and the regular expressions by their source and flags.
+ * @param  {Object}  a The first value.
+ * @param  {Object}  b The second value.
+ * @return {Boolean}   True if the values are the same.
+ */
+function isSameValue(a, b) {
+  if(a === b) {
+    return true;
+  }
+  if(a instanceof RegExp && b instanceof RegExp) {
+    return String(a) === String(b);
+  }
+  if(a === null || b === null || typeof a !== "object" || typeof b !== "object" ||
+     Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  let keys = Reflect.ownKeys(a);
+  return keys.length === Reflect.ownKeys(b).length &&
+         keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && isSameValue(a[key], b[key]));
+}
+
+/**
+ * Reads the options of the proxy in the form accepted by constructInheritance.
+ * @param  {Object} target The inner object of the proxy.
+ * @return {Object}        The options of the proxy.
+ */
+function readOptions(target) {
+  let options = {};
+  for(let name of Object.keys(OPTION_SYMBOLS)) {
+    options[name] = target[OPTION_SYMBOLS[name]];
+  }
+  options.combination = Object.assign({}, target[COMBINATION_SYMBOL]);
+  options.cache = target[CACHE_SYMBOL] !== null;
+  options.requires = Object.assign({}, target[REQUIRES_SYMBOL]);
+  options.policies = policyEntries(target[POLICIES_SYMBOL]);
+  return options;
+}
+
+/**
+ * Reads the options of the proxy and checks that they can be serialized.
+ * @param  {Object} target The inner object of the proxy.
+ * @return {Object}        The options of the proxy.
+ */
+function serializableOptions(target) {
+  let options = readOptions(target);
+  let proxyObj = target[PROXY_SYMBOL];
+  if(typeof options.resolution === "function") {
+    throw new SerializationError("A custom resolution function can't be serialized.", { proxy: proxyObj });
+  }
+  for(let key of Reflect.ownKeys(options.combination)) {
+    let combination = options.combination[key];
+    if(typeof key === "symbol" || typeof combination.type === "function" ||
+       combination.before || combination.after || combination.around) {
+      throw new SerializationError("The method combination for '" + String(key) + "' can't be serialized.",
+                                   { key: key, proxy: proxyObj });
+    }
+    options.combination[key] = combination.type;
+  }
+  for(let [keyOrPattern] of options.policies) {
+    if(typeof keyOrPattern !== "string") {
+      throw new SerializationError("The policy for '" + String(keyOrPattern) + "' can't be serialized.",
+                                   { key: keyOrPattern, proxy: proxyObj });
+    }
+  }
+  if(typeof options.writeTarget === "function") {
+    throw new SerializationError("A custom write target function can't be serialized.", { proxy: proxyObj });
+  }
+  for(let key of Reflect.ownKeys(options.requires)) {
+    if(typeof key === "symbol" || typeof options.requires[key] === "function") {
+      throw new SerializationError("The required member '" + String(key) + "' can't be serialized.",
+                                   { key: key, proxy: proxyObj });
+    }
+  }
+  return options;
+}
+
+/**
+ * Copies the enumerable own data of an object to a JSON compatible object.
+ * Methods and internal symbol properties are left out.
+ * @param  {Object} obj The object.
+ * @return {Object}     The copied data.
+ */
+function toData(obj) {
+  let data = {};
+  for(let key of Object.keys(obj)) {
+    if(typeof obj[key] !== "function") {
+      data[key] = obj[key];
+    }
+  }
+  return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Renders the inheritance graph in the Graphviz DOT language.
+ * The duplicate keys are colored red.
+ * @param  {Array} nodes The nodes of the graph.
+ * @param  {Array} edges The edges of the graph.
+ * @return {String}      The DOT source.
+ */
+function dotGraph(nodes, edges) {
+  let escape = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  let lines = ["digraph MultiInheritance {", "  node [shape=box];"];
+  for(let node of nodes) {
+    let keys = node.keys.map((key) => {
+      return ~node.duplicates.indexOf(key) ? "<font color=\"red\">" + escape(key) + "</font>" : escape(key);
+    });
+    lines.push("  " + node.id + " [label=<<b>" + escape(node.label) + "</b>" +
+               keys.map((key) => "<br/>" + key).join("") + ">];");
+  }
+  for(let edge of edges) {
+    lines.push("  " + edge.from + " -> " + edge.to + (edge.priority ? " [label=\"" + edge.priority + "\"]" : "") + ";");
+  }
+  lines.push("}");
+  return lines.join("\n");
+}
+
+/**
+ * Renders the inheritance graph as a Mermaid flowchart.
+ * The nodes with duplicate keys get the conflict class.
+ * @param  {Array} nodes The nodes of the graph.
+ * @param  {Array} edges The edges of the graph.
+ * @return {String}      The Mermaid source.
+ */
+function mermaidGraph(nodes, edges) {
+  let escape = (text) => text.replace(/"/g, "#quot;").replace(/</g, "#lt;").replace(/>/g, "#gt;");
+  let lines = ["graph TD"];
+  for(let node of nodes) {
+    let keys = node.keys.map((key) => ~node.duplicates.indexOf(key) ? escape(key) + " (duplicate)" : escape(key));
+    lines.push("  " + node.id + "[\"" + [escape(node.label)].concat(keys).join("<br/>") + "\"]");
+  }
+  for(let edge of edges) {
+    lines.push("  " + edge.from + " -->" + (edge.priority ? "|" + edge.priority + "|" : "") + " " + edge.to);
+  }
+  let conflicting = nodes.filter((node) => node.duplicates.length).map((node) => node.id);
+  if(conflicting.length) {
+    lines.push("  classDef conflict stroke:#f00,stroke-width:2px");
+    lines.push("  class " + conflicting.join(",") + " conflict");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Checks if the passed object is a proxy constructed by the MultiFactory.
+ * @param  {Object}  obj The object to be checked.
+ * @return {Boolean}     True if the object is a proxy from the MultiFactory.
+ */
+function isMultiProxy(obj) {
+  return obj !== null && (typeof obj === "object" || typeof obj === "function") &&
+         Reflect.has(obj, INNER_OBJECT_SYMBOL);
+}
+
+/**
+ * Orders the fathers of the inner object by their priority
+ * according to the resolution strategy of the proxy.
+ * @param  {Object} target The inner object of the proxy.
+ * @return {Array}         A new array of the fathers, the first one has the highest priority.
+ */
+function resolutionOrder(target) {
+  let fathersArray = target[PROTOTYPE_SYMBOL];
+  let resolution = target[RESOLUTION_SYMBOL];
+  if(typeof resolution === "function") {
+    return resolution(fathersArray.slice());
+  }
+  if(resolution === "first-wins") {
+    return fathersArray.slice();
+  }
+  if(resolution === "c3") {
+    return c3ResolutionOrder(fathersArray, target[PROXY_SYMBOL]);
+  }
+  return fathersArray.slice().reverse();
+}
+
+/**
+ * Computes the C3 resolution order of the fathers, excluding the proxy itself.
+ * @param  {Array} fathersArray The fathers of the proxy.
+ * @param  {Proxy} proxyObj     The proxy whose hierarchy is linearized.
+ * @return {Array}              The linearized fathers.
+ */
+function c3ResolutionOrder(fathersArray, proxyObj) {
+  return c3Merge(fathersArray.map(c3Linearization).concat([fathersArray.slice()]), proxyObj);
+}
+
+/**
+ * Computes the C3 linearization of a father. Plain objects are leaves of the
+ * hierarchy, while the linearization of a nested proxy includes its fathers.
+ * @param  {Object} father The father object.
+ * @return {Array}         The father followed by its linearized ancestors.
+ */
+function c3Linearization(father) {
+  if(!isMultiProxy(father)) {
+    return [father];
+  }
+  return [father].concat(c3ResolutionOrder(father[PROTOTYPE_SYMBOL], father));
+}
+
+/**
+ * Merges the linearizations of the fathers as described by the C3 algorithm.
+ * A candidate is taken only if it is not in the tail of any of the sequences.
+ * @param  {Array} sequences The linearizations to be merged.
+ * @param  {Proxy} proxyObj  The proxy whose hierarchy is linearized.
+ * @return {Array}           The merged linearization.
+ */
+function c3Merge(sequences, proxyObj) {
+  let result = [];
+  sequences = sequences.filter((seq) => seq.length);
+  while(sequences.length) {
+    let candidate;
+    let found = false;
+    for(let seq of sequences) {
+      candidate = seq[0];
+      if(!sequences.some((other) => other.indexOf(candidate) > 0)) {
+        found = true;
+        break;
+      }
+    }
+    if(!found) {
+      throw new ResolutionError("Cannot create a consistent resolution order (C3) for the fathers in the hierarchy.",
+                                { proxy: proxyObj, fathers: sequences.map((seq) => seq[0]) });
+    }
+    result.push(candidate);
+    sequences = sequences.map((seq) => seq[0] === candidate ? seq.slice(1) : seq)
+                         .filter((seq) => seq.length);
+  }
+  return result;
+}
+
+/**
+ * Returns the object in which to search for properties of a father. When the
+ * order is linearized the nested proxies' fathers are already part of it, so
+ * only the inner object of a nested proxy is searched.
+ * @param  {Object}  father     The father object.
+ * @param  {Boolean} linearized True if the resolution order is linearized.
+ * @return {Object}             The object in which to search for properties.
+ */
+function lookupSource(father, linearized) {
+  return linearized && isMultiProxy(father) ? father[INNER_OBJECT_SYMBOL] : father;
+}
+
+/**
+ * Finds the fathers in the hierarchy that have the property.
+ * If the proxy has a lookup cache all of them are found and cached.
+ * The returned array must not be modified.
+ * @param  {Object}  target     The inner object of the proxy.
+ * @param  {String}  key        The property name.
+ * @param  {Boolean} [all=true]      If false, the search stops at the first found father.
+ * @param  {Boolean} [pending=false] If true, the fathers which are not loaded are included ahead of the
+ *                                   first found father under the "undefined" pending policy, for the get handler.
+ * @return {Array}                   An array of { father, source, leaf, pending } objects ordered by priority,
+ *                                   where source is the object that holds the property, leaf, if set,
+ *                                   the { father, source } link a nested proxy source reads it from
+ *                                   and pending is true for a father which is not loaded.
+ */
+function findProviders(target, key, all = true, pending = false) {
+  let cache = target[CACHE_SYMBOL];
+  if(cache && cache.providers.has(key)) {
+    return loadedProviders(cache.providers.get(key), pending);
+  }
+  let linearized = target[RESOLUTION_SYMBOL] === "c3";
+  let providers = [];
+  for(let father of resolutionOrder(target)) {
+    if(LAZY_FATHERS_MAP.has(father)) {
+      // the loaded father may change the resolution order, so search again
+      if(loadLazyFather(father)) {
+        return findProviders(target, key, all, pending);
+      }
+      let policy = target[PENDING_SYMBOL];
+      if(policy === "throw") {
+        throw new FatherNotLoadedError("Lookup of '" + String(key) + "' hit a " + describeObject(father) + ".",
+                                       { key: key, proxy: target[PROXY_SYMBOL], fathers: [fatherOf(father)] });
+      }
+      if(policy === "undefined") {
+        // the placeholder has no properties, so the get handler reads the property as undefined
+        providers.push({ father: father, source: father, pending: true });
+      }
+      continue;
+    }
+    let source = lookupSource(father, linearized);
+    let inner = linearized ? undefined : PROXY_TARGETS_MAP.get(source);
+    // a nested proxy with its own has handler is searched directly instead of thru the handler
+    let found = inner && DEFAULT_HANDLERS_SET.has(inner[HANDLERS_SYMBOL].has) ? nestedLookup(inner, key)
+                                                                             : Reflect.has(source, key);
+    if(found) {
+      providers.push(found === true ? { father: father, source: source } : { father: father, source: source, leaf: found });
+      if(!all && !cache) break;
+    }
+  }
+  if(cache) cache.providers.set(key, providers);
+  return loadedProviders(providers, pending);
+}
+
+/**
+ * Drops the fathers which are not loaded from the providers, unless they are asked for.
+ * Only the ones ahead of the first found father matter to the get handler, while
+ * they are never counted when there is no father having the property.
+ * @param  {Array}   providers The providers found by findProviders.
+ * @param  {Boolean} pending   True if the fathers which are not loaded are kept.
+ * @return {Array}             The providers.
+ */
+function loadedProviders(providers, pending) {
+  if(!providers.some((p) => p.pending)) {
+    return providers;
+  }
+  if(pending && providers.some((p) => !p.pending)) {
+    return providers;
+  }
+  return providers.filter((p) => !p.pending);
+}
+
+/**
+ * Searches the inner object and the fathers of a nested proxy for the property like its has handler does.
+ * @param  {Object} target The inner object of the nested proxy.
+ * @param  {String} key    The property key.
+ * @return {Object|Boolean} False if the property is not found. Else the link { father, source } of the object
+ *                          the property is read from, if the get handler of the nested proxy only reads it
+ *                          from there, or true.
+ */
+function nestedLookup(target, key) {
+  let plainGet = DEFAULT_HANDLERS_SET.has(target[HANDLERS_SYMBOL].get) && !target[COMBINATION_SYMBOL][key] &&
+                 !hasListeners(target, "get") && !hasListeners(target, "conflict") &&
+                 policyAllows(target, key, "duplicate");
+  if(Reflect.has(target, key)) {
+    return plainGet ? { father: target[PROXY_SYMBOL], source: target } : true;
+  }
+  let providers = findProviders(target, key, false, true);
+  if(!providers.length) {
+    return false;
+  }
+  return plainGet ? providers[0].leaf || providers[0] : true;
+}
+
+/**
+ * Creates an empty lookup cache.
+ * @return {Object} The cache holding the providers of each property.
+ */
+function createCache() {
+  cacheCreated = true;
+  return { providers: new Map() };
+}
+
+/**
+ * Invalidates the lookup caches of the proxies delegating to the changed object, directly or thru
+ * other proxies, and of the object itself if it is a proxy. As a proxy's cache holds the objects
+ * the properties of nested proxies are read from, a change anywhere below it invalidates it.
+ * @param  {Object} obj The proxy, the inner object of a proxy or the father object which changed.
+ */
+function invalidateCaches(obj) {
+  if(!cacheCreated) return;
+  if(!PROXY_TARGETS_MAP.has(obj)) {
+    obj = fatherOf(obj);
+    if(Object.prototype.hasOwnProperty.call(obj, PROXY_SYMBOL)) obj = obj[PROXY_SYMBOL];
+  }
+  let proxies = new Set(PROXY_TARGETS_MAP.has(obj) ? [obj] : childrenOf(obj));
+  // the children found are visited by the loop as well
+  for(let proxy of proxies) {
+    let cache = PROXY_TARGETS_MAP.get(proxy)[CACHE_SYMBOL];
+    if(cache) cache.providers.clear();
+    for(let child of childrenOf(proxy)) {
+      proxies.add(child);
+    }
+  }
+}
+
+//getters
+MultiFactory.getAllowDuplicateOnProxy = function getAllowDuplicateOnProxy(proxyObj) {
     return proxyObj[DUPLICATION_ALLOWED_SYMBOL];
 };
 
@@ -571,24 +3639,82 @@ MultiFactory.getOverrideAllOnProxy = function getOverrideAllOnProxy(proxyObj) {
     return proxyObj[OVERRIDE_ALL_SYMBOL];
 };
 
+MultiFactory.getResolutionOnProxy = function getResolutionOnProxy(proxyObj) {
+    return proxyObj[RESOLUTION_SYMBOL];
+};
+
+MultiFactory.getPendingOnProxy = function getPendingOnProxy(proxyObj) {
+    return proxyObj[PENDING_SYMBOL];
+};
+
+MultiFactory.getWriteTargetOnProxy = function getWriteTargetOnProxy(proxyObj) {
+    return writeTargetOf(proxyObj[INNER_OBJECT_SYMBOL]);
+};
+
+MultiFactory.getCombinationOnProxy = function getCombinationOnProxy(proxyObj, propertyName) {
+    return proxyObj[COMBINATION_SYMBOL][propertyName];
+};
+
 //setters
 MultiFactory.setAllowDuplicateOnProxy = function setAllowDuplicateOnProxy(proxyObj, allowDuplicate) {
-    proxyObj[DUPLICATION_ALLOWED_SYMBOL] = allowDuplicate;
+    setOption(proxyObj, "allowDuplicate", allowDuplicate);
 };
 
 MultiFactory.setErrorIfMissingOnProxy = function setErrorIfMissingOnProxy(proxyObj, errorIfMissing) {
-    proxyObj[ERROR_IF_MISSING_SYMBOL] = errorIfMissing;
+    setOption(proxyObj, "errorIfMissing", errorIfMissing);
 };
 
 MultiFactory.setAllowOverrideOnProxy = function setAllowOverrideOnProxy(proxyObj, allowOverride) {
-    proxyObj[ALLOW_PROPERTY_OVERRIDE_SYMBOL] = allowOverride;
+    setOption(proxyObj, "allowOverride", allowOverride);
 };
 
 MultiFactory.setAllowDeletionOnProxy = function setAllowDeletionOnProxy(proxyObj, allowDeletion) {
-    proxyObj[ALLOW_PROPERTY_DELETION_SYMBOL] = allowDeletion;
+    setOption(proxyObj, "allowDeletion", allowDeletion);
 };
 
 MultiFactory.setOverrideAllOnProxy = function setOverrideAllOnProxy(proxyObj, overrideAll) {
-    return proxyObj[OVERRIDE_ALL_SYMBOL] = overrideAll;
+    setOption(proxyObj, "overrideAll", overrideAll);
+    return overrideAll;
+};
+
+MultiFactory.setResolutionOnProxy = function setResolutionOnProxy(proxyObj, resolution) {
+    validateResolution(resolution);
+    // fail before changing the option if the hierarchy can not be linearized
+    if(resolution === "c3") c3ResolutionOrder(proxyObj[PROTOTYPE_SYMBOL], proxyObj);
+    setOption(proxyObj, "resolution", resolution);
+};
+
+MultiFactory.setPendingOnProxy = function setPendingOnProxy(proxyObj, pending) {
+    validatePendingPolicy(pending);
+    setOption(proxyObj, "pending", pending);
+};
+
+MultiFactory.setWriteTargetOnProxy = function setWriteTargetOnProxy(proxyObj, writeTarget) {
+    validateWriteTarget(writeTarget);
+    setOption(proxyObj, "writeTarget", writeTarget);
+};
+
+MultiFactory.setCombinationOnProxy = function setCombinationOnProxy(proxyObj, propertyName, combination) {
+    assertNotLocked(proxyObj[INNER_OBJECT_SYMBOL], "sealed", "change the options", "combination");
+    let previous = proxyObj[COMBINATION_SYMBOL][propertyName];
+    if(combination === undefined) {
+      delete proxyObj[COMBINATION_SYMBOL][propertyName];
+    } else {
+      proxyObj[COMBINATION_SYMBOL][propertyName] = normalizeCombination(combination, propertyName);
+    }
+    invalidateCaches(proxyObj);
+    emit(proxyObj[INNER_OBJECT_SYMBOL], "optionChanged", { key: "combination", property: propertyName,
+                                                          value: proxyObj[COMBINATION_SYMBOL][propertyName], previous: previous });
+};
+
+MultiFactory.getCacheOnProxy = function getCacheOnProxy(proxyObj) {
+    return proxyObj[CACHE_SYMBOL] !== null;
+};
+
+MultiFactory.setCacheOnProxy = function setCacheOnProxy(proxyObj, cache) {
+    assertNotLocked(proxyObj[INNER_OBJECT_SYMBOL], "sealed", "change the options", "cache");
+    let previous = proxyObj[CACHE_SYMBOL] !== null;
+    proxyObj[INNER_OBJECT_SYMBOL][CACHE_SYMBOL] = cache ? createCache() : null;
+    emit(proxyObj[INNER_OBJECT_SYMBOL], "optionChanged", { key: "cache", value: !!cache, previous: previous });
 };
 //export default MultiFactory;